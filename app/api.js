@@ -185,18 +185,15 @@ class Api {
         }
         /** @type {PagedObjectsFunction} */
         this.getQueues = async (page, size) => {
-            const queues = app.dequeue.getLogs(SipdQueue.LOG_RAW)
-                .reverse();
             const res = {
-                count: queues.length,
+                count: app.dequeue.countLogs(SipdQueue.LOG_RAW),
                 page: page ?? 1,
                 size: size ?? 25,
                 items: [],
             }
-            if (queues.length) {
-                let start = this.getPageStart(res, queues.length);
-                res.items.push(...(queues
-                    .slice(start, start + res.size))
+            if (res.count) {
+                let start = this.getPageStart(res, res.count);
+                res.items.push(...app.dequeue.getLogs(SipdQueue.LOG_RAW, {offset: start, limit: res.size})
                     .map(data => ({nr: ++start, ...data})));
             }
             return res;
@@ -292,6 +289,57 @@ class Api {
                         }
                     }
                     break;
+                case 'search-queue':
+                    if (data.search) {
+                        const page = {page: data.page ?? 1, size: data.size ?? 25};
+                        let start = this.getPageStart(page, 0, false);
+                        let found = app.dequeue.search(data.search, {offset: start, limit: page.size});
+                        // only search again when the page is out of bound
+                        if (start > 0 && start >= found.count && found.count > 0) {
+                            start = this.getPageStart(page, found.count);
+                            found = app.dequeue.search(data.search, {offset: start, limit: page.size});
+                        }
+                        res.success = true;
+                        res.count = found.count;
+                        res.page = page.page;
+                        res.size = page.size;
+                        res.items = found.items
+                            .map(item => ({nr: ++start, ...item}));
+                    }
+                    break;
+                case 'pause':
+                case 'resume':
+                    Object.assign(res, data.cmd === 'pause' ? app.pause(data.bridge) : app.resume(data.bridge));
+                    if (!res.error) {
+                        res.success = true;
+                    }
+                    break;
+                case 'schedules':
+                    res.success = true;
+                    res.items = app.scheduler ? app.scheduler.getStatus() : [];
+                    break;
+                case 'failed-queue':
+                    res.success = true;
+                    res.items = app.dequeue.deadletter ? app.dequeue.deadletter.items : [];
+                    break;
+                case 'retry-queue':
+                    res.items = app.dequeue.retryFailed(data.queue, data.data);
+                    if (res.items.some(item => item.status === 'queued')) {
+                        res.success = true;
+                        this.notify('queue');
+                    }
+                    break;
+                case 'failed-callback':
+                    res.success = true;
+                    res.items = app.dequeue.outbox ? app.dequeue.outbox.getFailed() : [];
+                    break;
+                case 'redeliver-callback':
+                    res.items = app.dequeue.outbox ? app.dequeue.outbox.redeliver(data.callback) : [];
+                    if (res.items.length) {
+                        res.success = true;
+                        this.notify('queue');
+                    }
+                    break;
                 case 'clean-err':
                     if (data.error) {
                         const errGlob = path.join(
@@ -343,7 +391,7 @@ class Api {
         }
         while (true) {
             start = (data.page - 1) * data.size;
-            if (fix && start > count && data.page > 1) {
+            if (fix && start >= count && data.page > 1) {
                 data.page--;
             }
             if (!fix || start < count) {
@@ -414,10 +462,11 @@ class ApiBridge {
             const res = {};
             const queues = [...app.dequeue.completes, ...app.dequeue.processing]
                 .filter(q => q.bridge === bridge);
-            ApiFn.stat(res, 'total', 'Total queue', queues);
-            ApiFn.stat(res, 'success', 'Total successful', queues.filter(q => q.status === SipdQueue.STATUS_DONE));
+            const archived = app.dequeue.archive ? app.dequeue.archive.getStats(bridge.name) : {};
+            ApiFn.stat(res, 'total', 'Total queue', queues, archived.total);
+            ApiFn.stat(res, 'success', 'Total successful', queues.filter(q => q.status === SipdQueue.STATUS_DONE), archived.success);
             ApiFn.stat(res, 'fail', 'Total unsuccessful', queues.filter(q => ![SipdQueue.STATUS_PROCESSING, SipdQueue.STATUS_DONE]
-                .includes(q.status)));
+                .includes(q.status)), archived.fail);
             return res;
         }
         /** @type {ObjectFunction} */
@@ -451,9 +500,10 @@ class ApiFn {
      * @param {string} key Key name
      * @param {string} label Key label
      * @param {any[]} values Values
+     * @param {number} extra Additional value
      */
-    static stat(res, key, label, values) {
-        res[key] = {label, value: values.length};
+    static stat(res, key, label, values, extra = 0) {
+        res[key] = {label, value: values.length + (extra ?? 0)};
     }
 
     /**
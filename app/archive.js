@@ -0,0 +1,421 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const SipdLogger = require('./sipd/logger');
+
+const dtag = 'archive';
+
+/**
+ * Completed queue archive.
+ *
+ * Completed queues are appended to a JSON lines file, which is compressed
+ * and rotated once it reaches its size. Only the queue logs are archived,
+ * the queue data and large payloads are stripped.
+ *
+ * Each archive file has an uncompressed index of the searchable fields, so
+ * searching only decompresses the archives holding the requested page.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdArchive {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} dir Archive directory
+     * @param {object} options Options
+     * @param {number} options.size Number of records in each archive file
+     * @param {number} options.files Number of compressed archive files to keep
+     * @param {number} options.refs Number of recent queue references kept for lookup
+     */
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.size = options.size ?? 1000;
+        this.files = options.files ?? 10;
+        this.refs = options.refs ?? 10000;
+        this.filename = path.join(this.dir, 'archive.jsonl');
+        this.metafile = path.join(this.dir, 'archive.json');
+        this.meta = {count: 0, files: [], stats: {}, refs: {}};
+        /** @type {{[name: string]: object[]}} */
+        this.indexes = {};
+        this.load();
+    }
+
+    /**
+     * Load archive metadata.
+     *
+     * @returns {this}
+     */
+    load() {
+        if (fs.existsSync(this.metafile)) {
+            try {
+                Object.assign(this.meta, JSON.parse(fs.readFileSync(this.metafile)));
+            }
+            catch (err) {
+                SipdLogger.activity(dtag)('Unable to load archive metadata %s: %s!', this.metafile, err);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Save archive metadata.
+     *
+     * @returns {this}
+     */
+    save() {
+        this.mkdir();
+        fs.writeFileSync(this.metafile, JSON.stringify(this.meta));
+        return this;
+    }
+
+    /**
+     * Ensure archive directory exists.
+     */
+    mkdir() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, {recursive: true});
+        }
+    }
+
+    /**
+     * Archive queue logs.
+     *
+     * @param {{log: object, bridge: ?string, ref: ?string, success: boolean}[]} items Queue logs
+     * @returns {this}
+     */
+    add(items) {
+        if (items.length) {
+            this.mkdir();
+            const name = path.basename(this.filename);
+            // index must be in line with the records
+            const index = this.getIndex(name);
+            const lines = [], indexes = [];
+            for (const item of items) {
+                lines.push(JSON.stringify(this.strip(item.log)) + '\n');
+                indexes.push(this.createIndex(item.log));
+                if (item.bridge) {
+                    const stats = this.meta.stats[item.bridge] ??= {total: 0, success: 0, fail: 0};
+                    stats.total++;
+                    stats[item.success ? 'success' : 'fail']++;
+                }
+                for (const ref of [item.log.id, item.ref]) {
+                    if (ref) {
+                        delete this.meta.refs[ref];
+                        this.meta.refs[ref] = item.log.status;
+                    }
+                }
+            }
+            fs.appendFileSync(this.filename, lines.join(''));
+            fs.appendFileSync(this.getIndexFilename(this.filename), indexes.map(index => JSON.stringify(index) + '\n').join(''));
+            index.push(...indexes);
+            if (this.cache && this.cache.name === name) {
+                delete this.cache;
+            }
+            this.meta.count += lines.length;
+            // keep only recent references
+            const refs = Object.keys(this.meta.refs);
+            if (refs.length > this.refs) {
+                for (const ref of refs.slice(0, refs.length - this.refs)) {
+                    delete this.meta.refs[ref];
+                }
+            }
+            if (this.meta.count >= this.size) {
+                this.rotate();
+            }
+            this.save();
+        }
+        return this;
+    }
+
+    /**
+     * Compress current archive and remove the oldest archives.
+     *
+     * @returns {this}
+     */
+    rotate() {
+        if (fs.existsSync(this.filename)) {
+            const stamp = new Date().toISOString().replace(/[^0-9]/g, '');
+            const name = `archive-${stamp}.jsonl.gz`;
+            const current = path.basename(this.filename);
+            fs.writeFileSync(path.join(this.dir, name), zlib.gzipSync(fs.readFileSync(this.filename)));
+            fs.unlinkSync(this.filename);
+            if (fs.existsSync(this.getIndexFilename(this.filename))) {
+                fs.renameSync(this.getIndexFilename(this.filename), this.getIndexFilename(path.join(this.dir, name)));
+            }
+            if (this.indexes[current]) {
+                this.indexes[name] = this.indexes[current];
+                delete this.indexes[current];
+            }
+            if (this.cache && this.cache.name === current) {
+                delete this.cache;
+            }
+            this.meta.files.push({name, count: this.meta.count});
+            this.meta.count = 0;
+            while (this.meta.files.length > this.files) {
+                const file = this.meta.files.shift();
+                fs.rmSync(path.join(this.dir, file.name), {force: true});
+                fs.rmSync(this.getIndexFilename(path.join(this.dir, file.name)), {force: true});
+                delete this.indexes[file.name];
+                SipdLogger.activity(dtag)('Archive %s removed', file.name);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Get number of archived logs.
+     *
+     * @returns {number}
+     */
+    count() {
+        return this.meta.files.reduce((acc, file) => acc + file.count, this.meta.count);
+    }
+
+    /**
+     * Read archived logs, the newest first.
+     *
+     * @param {number} offset Start offset
+     * @param {number} limit Number of logs to read
+     * @returns {object[]}
+     */
+    read(offset = 0, limit = null) {
+        const res = [];
+        for (const file of this.getFiles()) {
+            if (limit !== null && res.length >= limit) {
+                break;
+            }
+            // skip the whole file without reading it
+            if (offset >= file.count) {
+                offset -= file.count;
+                continue;
+            }
+            const items = this.readFile(file.name).filter(Boolean).reverse();
+            const count = limit !== null ? limit - res.length : items.length;
+            res.push(...items.slice(offset, offset + count));
+            offset = 0;
+        }
+        return res;
+    }
+
+    /**
+     * Search archived logs using its index, the newest first. Only archives
+     * holding the requested logs are read.
+     *
+     * @param {Function} matcher Index matcher function
+     * @param {number} offset Start offset of matched logs
+     * @param {number} limit Number of logs to read
+     * @returns {{count: number, items: object[]}}
+     */
+    search(matcher, offset = 0, limit = null) {
+        let count = 0;
+        const res = [];
+        for (const file of this.getFiles()) {
+            const index = this.getIndex(file.name);
+            const positions = [];
+            for (let pos = index.length - 1; pos >= 0; pos--) {
+                if (index[pos] && matcher(index[pos])) {
+                    if (count >= offset && (limit === null || res.length + positions.length < limit)) {
+                        positions.push(pos);
+                    }
+                    count++;
+                }
+            }
+            if (positions.length) {
+                const items = this.readFile(file.name);
+                res.push(...positions.map(pos => items[pos]).filter(Boolean));
+            }
+        }
+        return {count, items: res};
+    }
+
+    /**
+     * Get archive files, the newest first.
+     *
+     * @returns {{name: string, count: number}[]}
+     */
+    getFiles() {
+        return [
+            {name: path.basename(this.filename), count: this.meta.count},
+            ...[...this.meta.files].reverse(),
+        ];
+    }
+
+    /**
+     * Read archive file, a malformed record is returned as null so each
+     * record stays at the same position of its index. The last read file
+     * is cached.
+     *
+     * @param {string} name Archive name
+     * @returns {object[]}
+     */
+    readFile(name) {
+        if (this.cache && this.cache.name === name) {
+            return this.cache.items;
+        }
+        const res = [];
+        const filename = path.join(this.dir, name);
+        if (fs.existsSync(filename)) {
+            let content = fs.readFileSync(filename);
+            if (filename.endsWith('.gz')) {
+                content = zlib.gunzipSync(content);
+            }
+            for (const line of content.toString().split('\n').filter(Boolean)) {
+                try {
+                    res.push(JSON.parse(line));
+                }
+                catch (err) {
+                    SipdLogger.activity(dtag)('Skipping malformed archive record: %s', line.substr(0, 50));
+                    res.push(null);
+                }
+            }
+        }
+        this.cache = {name, items: res};
+        return res;
+    }
+
+    /**
+     * Get archive index, the index is rebuilt from the archive if it is
+     * missing.
+     *
+     * @param {string} name Archive name
+     * @returns {object[]}
+     */
+    getIndex(name) {
+        if (!this.indexes[name]) {
+            const filename = this.getIndexFilename(path.join(this.dir, name));
+            let index;
+            if (fs.existsSync(filename)) {
+                index = fs.readFileSync(filename)
+                    .toString()
+                    .split('\n')
+                    .filter(Boolean)
+                    .map(line => {
+                        try {
+                            return JSON.parse(line);
+                        }
+                        catch (err) {
+                            return null;
+                        }
+                    });
+            } else {
+                index = this.readFile(name).map(log => log ? this.createIndex(log) : null);
+                if (index.length) {
+                    fs.writeFileSync(filename, index.map(item => JSON.stringify(item) + '\n').join(''));
+                }
+            }
+            this.indexes[name] = index;
+        }
+        return this.indexes[name];
+    }
+
+    /**
+     * Get index filename of an archive.
+     *
+     * @param {string} filename Archive filename
+     * @returns {string}
+     */
+    getIndexFilename(filename) {
+        return filename.replace(/\.jsonl(\.gz)?$/, '.idx.jsonl');
+    }
+
+    /**
+     * Create index of searchable log fields.
+     *
+     * @param {object} log Queue log
+     * @returns {object}
+     */
+    createIndex(log) {
+        const res = {};
+        for (const key of SipdArchive.INDEX_KEYS) {
+            if (log[key] !== undefined && log[key] !== null) {
+                res[key] = log[key];
+            }
+        }
+        if (log.result && typeof log.result === 'object') {
+            res.result = {};
+            for (const key of SipdArchive.INDEX_RESULT_KEYS) {
+                if (log.result[key] !== undefined && log.result[key] !== null) {
+                    res.result[key] = log.result[key];
+                }
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Get archived queue status by its id or reference.
+     *
+     * @param {string} ref Queue id or reference
+     * @returns {string|undefined}
+     */
+    getStatus(ref) {
+        return this.meta.refs[ref];
+    }
+
+    /**
+     * Get archived stats of a bridge.
+     *
+     * @param {string} bridge Bridge name
+     * @returns {{total: number, success: number, fail: number}}
+     */
+    getStats(bridge) {
+        return this.meta.stats[bridge] ?? {total: 0, success: 0, fail: 0};
+    }
+
+    /**
+     * Strip large payloads from value.
+     *
+     * @param {any} value Value
+     * @returns {any}
+     */
+    strip(value) {
+        if (Buffer.isBuffer(value) || (value && value.type === 'Buffer' && Array.isArray(value.data))) {
+            return `[${Buffer.isBuffer(value) ? value.length : value.data.length} bytes]`;
+        }
+        if (typeof value === 'string' && value.length > SipdArchive.MAX_LENGTH) {
+            return `${value.substr(0, SipdArchive.MAX_LENGTH)}... [${value.length} chars]`;
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => this.strip(v));
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const res = {};
+            for (const [k, v] of Object.entries(value)) {
+                res[k] = this.strip(v);
+            }
+            return res;
+        }
+        return value;
+    }
+
+    static get MAX_LENGTH() { return 1024 }
+    static get INDEX_KEYS() { return ['id', 'type', 'status', 'time', 'bridge', 'ref', 'name'] }
+    static get INDEX_RESULT_KEYS() { return ['spp', 'spm', 'sp2d', 'npd', 'tbp'] }
+}
+
+module.exports = SipdArchive;
\ No newline at end of file
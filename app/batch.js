@@ -0,0 +1,143 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SipdUtil = require('./sipd/util');
+
+/**
+ * A batch of queues submitted at once.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdBatch {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} type Queue type
+     * @param {string} callback Callback
+     */
+    constructor(type, callback = null) {
+        this.id = SipdUtil.genId();
+        this.type = type;
+        this.callback = callback;
+        this.time = new Date();
+        /** @type {{nr: number, queue: ?string, id: ?string, status: string, result: any, error: ?string}[]} */
+        this.items = [];
+    }
+
+    /**
+     * Add queue creation result of an item.
+     *
+     * @param {object} res Queue creation result
+     * @param {import('./queue')} queue Created queue
+     * @returns {this}
+     */
+    add(res, queue) {
+        const item = {nr: this.items.length + 1};
+        if (queue && queue.maps) {
+            item.id = queue.getMappedData('info.id');
+        }
+        if (res && res.id) {
+            item.queue = res.id;
+            item.status = res.status === SipdBatch.STATUS_DONE ? SipdBatch.STATUS_DONE : SipdBatch.STATUS_PENDING;
+            if (res.result !== undefined) {
+                item.result = res.result;
+            }
+        } else {
+            item.status = SipdBatch.STATUS_ERROR;
+            item.error = res && (res.error || res.message) ? res.error || res.message : 'Invalid item!';
+            if (res && res.fields) {
+                item.fields = res.fields;
+            }
+        }
+        this.items.push(item);
+        return this;
+    }
+
+    /**
+     * Update item status of a finished queue.
+     *
+     * @param {string} id Queue id
+     * @param {boolean} success Is queue successfully done
+     * @param {string} error Error message
+     * @returns {boolean} True if queue is part of the batch
+     */
+    update(id, success, error = null) {
+        const item = this.items.find(item => item.queue === id);
+        if (item && item.status === SipdBatch.STATUS_PENDING) {
+            if (success) {
+                item.status = SipdBatch.STATUS_DONE;
+            } else {
+                item.status = SipdBatch.STATUS_ERROR;
+                item.error = error;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Count items by its status.
+     *
+     * @param {string} status Status
+     * @returns {number}
+     */
+    count(status) {
+        return this.items.filter(item => item.status === status).length;
+    }
+
+    /**
+     * Is all items finished?
+     *
+     * @returns {boolean}
+     */
+    finished() {
+        return this.count(SipdBatch.STATUS_PENDING) === 0;
+    }
+
+    /**
+     * Get batch status.
+     *
+     * @returns {object}
+     */
+    getStatus() {
+        return {
+            batch: this.id,
+            type: this.type,
+            time: this.time.toString(),
+            count: this.items.length,
+            done: this.count(SipdBatch.STATUS_DONE),
+            error: this.count(SipdBatch.STATUS_ERROR),
+            pending: this.count(SipdBatch.STATUS_PENDING),
+            finished: this.finished(),
+            items: this.items,
+        }
+    }
+
+    static get STATUS_PENDING() { return 'pending' }
+    static get STATUS_DONE() { return 'done' }
+    static get STATUS_ERROR() { return 'error' }
+}
+
+module.exports = SipdBatch;
\ No newline at end of file
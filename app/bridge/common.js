@@ -129,7 +129,13 @@ class SipdBridgeCommon extends SipdBridgeHandler {
             .filter(sess => sess.sipd.driver);
         for (const session of sessions) {
             works.push(
-                [m => session.captureScreen(message, queue?.data, this.bridge.options.capturedirname)],
+                [m => session.captureScreen(message, queue?.data, this.bridge.options.capturedirname)
+                    .then(filename => {
+                        if (queue && filename) {
+                            queue.captures = [...(queue.captures ?? []), filename];
+                        }
+                        return filename;
+                    })],
             );
         }
         return this.bridge.works(works);
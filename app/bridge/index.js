@@ -29,7 +29,7 @@ const SipdQueue = require('../queue');
 const SipdSession = require('../session');
 const SipdLpjSession = require('../session/lpj');
 const SipdSppSession = require('../session/spp');
-const { SipdAnnouncedError, SipdRetryError, SipdCleanAndRetryError } = require('../sipd');
+const { SipdAbortError, SipdAnnouncedError, SipdDeferError, SipdRetryError, SipdCleanAndRetryError } = require('../sipd');
 const { SipdRoleSwitcher, SipdRole } = require('../sipd/role');
 const { SipdLockManager } = require('./lock');
 const { error } = require('selenium-webdriver');
@@ -175,6 +175,35 @@ class SipdBridge {
         return this.state === this.STATE_OPERATIONAL;
     }
 
+    /**
+     * Pause bridge, the current queue is finished before it is paused.
+     *
+     * @returns {this}
+     */
+    pause() {
+        this.paused = true;
+        return this;
+    }
+
+    /**
+     * Resume paused bridge.
+     *
+     * @returns {this}
+     */
+    resume() {
+        delete this.paused;
+        return this;
+    }
+
+    /**
+     * Is bridge paused?
+     *
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.paused ? true : false;
+    }
+
     /**
      * Check if bridge has state?
      *
@@ -338,6 +367,17 @@ class SipdBridge {
                 const role = worker.name.substr(0, worker.name.indexOf('-'));
                 if ([SipdRole.BP, SipdRole.PA, SipdRole.PPK, SipdRole.PPTK].includes(role)) {
                     this.loginfo.action = worker.name.substr(worker.name.indexOf('-') + 1);
+                    if (typeof this.onProgress === 'function' && this.queue &&
+                        this.queue.status === SipdQueue.STATUS_PROCESSING) {
+                        this.onProgress(this.queue, {
+                            step: worker.name,
+                            role,
+                            title: this.getRoleTitle(role),
+                            action: this.loginfo.action,
+                            started: this.queue.time.toISOString(),
+                            time: new Date().toISOString(),
+                        });
+                    }
                 }
             }
         }
@@ -345,7 +385,9 @@ class SipdBridge {
             Work.works(w, options)
                 .then(res => resolve(res))
                 .catch(err => {
-                    if (err instanceof error.WebDriverError && err.message.includes('net::ERR_CONNECTION_TIMED_OUT')) {
+                    if (err instanceof SipdDeferError) {
+                        // keep as is to be deferred by consumer
+                    } else if (err instanceof error.WebDriverError && err.message.includes('net::ERR_CONNECTION_TIMED_OUT')) {
                         err = SipdRetryError.from(err);
                     } else if (err instanceof error.SessionNotCreatedError) {
                         err = SipdCleanAndRetryError.from(err);
@@ -447,6 +489,32 @@ class SipdBridge {
         ]);
     }
 
+    /**
+     * Check usage limit of the users of roles and defer the queue if one of
+     * them can't be used yet.
+     *
+     * @param {SipdQueue} queue Queue
+     * @param {string[]} roles User roles
+     * @returns {Promise<any>}
+     */
+    checkLimit(queue, roles) {
+        const usernames = roles
+            .map(role => this.getUser(role)?.username)
+            .filter(username => username);
+        return Promise.all(usernames.map(username => SipdLockManager.get(username)
+                .checkLimit(queue.id)
+                .then(res => ({username, ...res}))))
+            .then(results => {
+                const limited = results
+                    .filter(res => res.delay > 0)
+                    .sort((a, b) => b.delay - a.delay);
+                if (limited.length) {
+                    const { username, delay, reason } = limited[0];
+                    return Promise.reject(new SipdDeferError(`User ${username} is limited by ${reason}, deferred for ${Math.ceil(delay / 1000)}s!`, delay));
+                }
+            });
+    }
+
     /**
      * Perform works.
      *
@@ -494,7 +562,7 @@ class SipdBridge {
     end(queue, stop = true) {
         const works = [
             [m => Promise.resolve(this.lock.abort(queue.id)),
-                m => queue.status === SipdQueue.STATUS_TIMED_OUT && this.lock]
+                m => [SipdQueue.STATUS_TIMED_OUT, SipdQueue.STATUS_CANCELLED].includes(queue.status) && this.lock]
         ];
         for (const session of Object.values(this.sessions)) {
             works.push(
@@ -524,8 +592,24 @@ class SipdBridge {
         if (typeof sorter === 'function') {
             works = works.sort(sorter);
         }
+        // users of these roles are checked for usage limit before any work
+        const roles = works
+            .filter(work => [SipdRole.BP, SipdRole.PA, SipdRole.PPK, SipdRole.PPTK].includes(work[0]))
+            .map(work => work[0]);
+        // stop at the next work once queue is cancelled
+        works = works.map(work => {
+            const idx = typeof work[0] === 'string' ? 1 : 0;
+            const handler = work[idx];
+            if (typeof handler === 'function') {
+                work = [...work];
+                work[idx] = (...args) => queue.status === SipdQueue.STATUS_CANCELLED ?
+                    Promise.reject(new SipdAbortError(`Queue ${queue.id} is cancelled!`)) : handler(...args);
+            }
+            return work;
+        });
         return this.do([
             ['role', w => this.checkRole(queue)],
+            ['limit', w => this.checkLimit(queue, roles)],
             ...works,
             ['done', w => new Promise((resolve, reject) => {
                 let res = w.res, reply;
@@ -545,7 +629,8 @@ class SipdBridge {
         ], (w, err) => {
             return [
                 [e => this.lock.release(this.lockId), e => this.lock],
-                [e => this.saveScreenshot(queue, err), e => err],
+                [e => this.saveScreenshot(queue, err), e => err && !(err instanceof SipdDeferError) &&
+                    queue.status !== SipdQueue.STATUS_CANCELLED],
                 [e => this.end(queue, this.autoClose)],
             ];
         });
@@ -22,6 +22,7 @@
  * SOFTWARE.
  */
 
+const crypto = require('crypto');
 const Work = require('@ntlab/work/work');
 const SipdLogger = require('../sipd/logger');
 const { SipdTimer, SipdAbortError } = require('../sipd');
@@ -72,6 +73,36 @@ class SipdLockManager {
         this._store = storeClass;
     }
 
+    /**
+     * Get usage limit for user.
+     *
+     * @param {string} user User id
+     * @returns {{logins: number, gap: number, quiet: string[]}}
+     */
+    static getLimit(user) {
+        const limits = this.limits ?? {};
+        return Object.assign({logins: 0, gap: 0, quiet: []}, limits.default, limits[user]);
+    }
+
+    /**
+     * Set lock acquired handler, called with the user lock, lock id, and
+     * the waiting time in milliseconds.
+     *
+     * @param {Function} handler Handler
+     */
+    static set onAcquired(handler) {
+        this._onAcquired = handler;
+    }
+
+    /**
+     * Get lock acquired handler.
+     *
+     * @returns {Function}
+     */
+    static get onAcquired() {
+        return this._onAcquired;
+    }
+
     static get STALE_MS() {
         return 5 * 60 * 1000; // 5 minutes
     }
@@ -106,6 +137,7 @@ class SipdUserLock {
     acquire(lock) {
         return new Promise((resolve, reject) => {
             const timer = new SipdTimer({delta: 60});
+            const time = Date.now();
             const f = () => {
                 if (this.aborts.includes(lock)) {
                     this.aborts.splice(this.aborts.indexOf(lock), 1);
@@ -115,6 +147,9 @@ class SipdUserLock {
                     .then(res => {
                         if (res) {
                             SipdLogger.activity(dtag)(`Lock ${this.store.name} ${this.user}:${lock} is acquired...`);
+                            if (typeof SipdLockManager.onAcquired === 'function') {
+                                SipdLockManager.onAcquired(this, lock, Date.now() - time);
+                            }
                             resolve();
                         } else {
                             timer.check(t => SipdLogger.activity(dtag)(`Lock ${this.store.name} ${this.user}:${lock} is still held after ${t.elapsedTime}...`));
@@ -142,6 +177,74 @@ class SipdUserLock {
         ]);
     }
 
+    /**
+     * Check user usage limit, returns the delay in milliseconds and the reason
+     * if the user can't be used yet.
+     *
+     * @param {string} id Queue id
+     * @returns {Promise<{delay: number, reason: ?string}>}
+     */
+    async checkLimit(id) {
+        const limit = SipdLockManager.getLimit(this.user);
+        const now = SipdLockStore.getTime();
+        const checks = [];
+        const quiet = SipdUserLock.getQuietDelay(limit.quiet, new Date(now));
+        if (quiet > 0) {
+            checks.push([quiet, 'quiet hours']);
+        }
+        if (limit.logins > 0 || limit.gap > 0) {
+            const usage = await this.store.getUsage();
+            const logins = usage.logins.filter(time => time > now - SipdUserLock.HOUR_MS);
+            if (limit.logins > 0 && logins.length >= limit.logins) {
+                checks.push([logins[logins.length - limit.logins] + SipdUserLock.HOUR_MS - now,
+                    `${limit.logins} logins per hour`]);
+            }
+            if (limit.gap > 0 && usage.last && usage.queue !== id && usage.last + limit.gap > now) {
+                checks.push([usage.last + limit.gap - now, 'gap between queues']);
+            }
+        }
+        if (checks.length) {
+            const [delay, reason] = checks.sort((a, b) => b[0] - a[0])[0];
+            return {delay, reason};
+        }
+        return {delay: 0, reason: null};
+    }
+
+    /**
+     * Record user login.
+     *
+     * @param {string} id Queue id
+     * @returns {Promise<any>}
+     */
+    async use(id) {
+        await this.store.addUsage(SipdLockStore.getTime(), id);
+    }
+
+    /**
+     * Get remaining quiet hours in milliseconds.
+     *
+     * @param {string[]} quiet Quiet hours, e.g. `22:00-06:00`
+     * @param {Date} date Current date
+     * @returns {number}
+     */
+    static getQuietDelay(quiet, date) {
+        const f = s => {
+            const [h, m] = s.trim().split(':').map(v => parseInt(v));
+            return ((h || 0) * 60 + (m || 0)) * 60 * 1000;
+        }
+        const t = ((date.getHours() * 60 + date.getMinutes()) * 60 + date.getSeconds()) * 1000 + date.getMilliseconds();
+        const day = 24 * SipdUserLock.HOUR_MS;
+        for (const range of Array.isArray(quiet) ? quiet : [quiet]) {
+            if (typeof range === 'string' && range.includes('-')) {
+                const [start, end] = range.split('-').map(f);
+                if (start <= end ? t >= start && t < end : t >= start || t < end) {
+                    return (end - t + day) % day;
+                }
+            }
+        }
+        return 0;
+    }
+
     /**
      * Abort the lock.
      *
@@ -154,6 +257,10 @@ class SipdUserLock {
         }
         return this;
     }
+
+    static get HOUR_MS() {
+        return 60 * 60 * 1000;
+    }
 }
 
 /**
@@ -251,6 +358,38 @@ class SipdLockStore {
         return res;
     }
 
+    /**
+     * Get user usage.
+     *
+     * @returns {Promise<{logins: number[], last: ?number, queue: ?string}>}
+     */
+    async getUsage() {
+        if (typeof this.doGetUsage === 'function') {
+            this.usage = await this.doGetUsage();
+        }
+        return Object.assign({logins: [], last: null, queue: null}, this.usage);
+    }
+
+    /**
+     * Add user login to usage.
+     *
+     * @param {number} time Login time
+     * @param {?string} queue Queue id
+     * @returns {Promise<any>}
+     */
+    async addUsage(time, queue) {
+        if (typeof this.doAddUsage === 'function') {
+            await this.doAddUsage(time, queue);
+        } else {
+            const usage = await this.getUsage();
+            this.usage = {
+                logins: [...usage.logins.filter(t => t > time - SipdUserLock.HOUR_MS), time],
+                last: time,
+                queue,
+            }
+        }
+    }
+
     /**
      * Get current time.
      *
@@ -336,6 +475,28 @@ class SipdLockStoreRedis extends SipdLockStore {
                 this.locks = value ? JSON.parse(value) : [];
             }
         }
+        this.loginsKey = `sipd:${this.user}:logins`;
+        this.lastKey = `sipd:${this.user}:last`;
+        this.doGetUsage = async () => {
+            await this.getRedis();
+            const since = SipdLockStore.getTime() - SipdUserLock.HOUR_MS;
+            const logins = await this.redis.zRangeByScore(this.loginsKey, since, '+inf');
+            const last = await this.redis.hGetAll(this.lastKey);
+            return {
+                logins: logins.map(login => parseInt(login)),
+                last: last.time ? parseInt(last.time) : null,
+                queue: last.queue || null,
+            }
+        }
+        // logins are stored in a sorted set updated atomically by script,
+        // so concurrent nodes don't overwrite each other
+        this.doAddUsage = async (time, queue) => {
+            await this.getRedis();
+            await this.redis.eval(SipdLockStoreRedis.USAGE_SCRIPT, {
+                keys: [this.loginsKey, this.lastKey],
+                arguments: [time.toString(), `${time}:${crypto.randomUUID()}`, SipdUserLock.HOUR_MS.toString(), queue ?? ''],
+            });
+        }
         this.doStore = async () => {
             const time = SipdLockStore.getTime();
             if (this.storeTime === undefined || this.storeTime + this.storeInterval < time) {
@@ -355,6 +516,16 @@ class SipdLockStoreRedis extends SipdLockStore {
         this._con = con;
         return this;
     }
+
+    static get USAGE_SCRIPT() {
+        return `
+            redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', tonumber(ARGV[1]) - tonumber(ARGV[3]))
+            redis.call('ZADD', KEYS[1], ARGV[1], ARGV[2])
+            redis.call('PEXPIRE', KEYS[1], ARGV[3])
+            redis.call('HSET', KEYS[2], 'time', ARGV[1], 'queue', ARGV[4])
+            return redis.call('ZCARD', KEYS[1])
+        `;
+    }
 }
 
-module.exports = { SipdLockManager, SipdLockStore, SipdLockStoreMemory, SipdLockStoreRedis };
\ No newline at end of file
+module.exports = { SipdLockManager, SipdUserLock, SipdLockStore, SipdLockStoreMemory, SipdLockStoreRedis };
\ No newline at end of file
@@ -0,0 +1,405 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const os = require('os');
+const SipdLogger = require('./sipd/logger');
+const SipdQueue = require('./queue');
+const { SipdTimer } = require('./sipd');
+
+const dtag = 'cluster';
+
+/**
+ * Shared queue store in Redis which allows several bridge processes to
+ * consume the same queues.
+ *
+ * A published queue is kept in the pending set until a node claims it by
+ * removing it from the pending set, which only succeeds on one node. The
+ * claimed queue must be kept alive by its node heartbeat, otherwise it is
+ * put back to the pending set once its visibility timeout is passed.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdCluster {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} con Redis connection string
+     * @param {object} options Options
+     * @param {string} options.node Node name, default to host name and process id
+     * @param {string} options.prefix Redis key prefix
+     * @param {number} options.heartbeat Heartbeat interval in milliseconds
+     * @param {number} options.visibility Claimed queue visibility timeout in milliseconds
+     * @param {number} options.retention Number of finished queue status kept
+     */
+    constructor(con, options = {}) {
+        this.con = con;
+        this.node = options.node ?? `${os.hostname()}:${process.pid}`;
+        this.prefix = options.prefix ?? 'sipd:cluster';
+        this.heartbeat = options.heartbeat ?? 10000;
+        this.visibility = options.visibility ?? 60000;
+        this.retention = options.retention ?? 1000;
+        /** @type {Map<string, SipdQueue>} */
+        this.watches = new Map();
+        /** @type {Set<string>} */
+        this.ignores = new Set();
+    }
+
+    /**
+     * Attach the cluster to dequeue and start the heartbeat.
+     *
+     * @param {import('./queue').SipdDequeue} dequeue Dequeue
+     * @returns {this}
+     */
+    start(dequeue) {
+        this.dequeue = dequeue;
+        if (!this.timer) {
+            const f = () => {
+                this.beat()
+                    .catch(err => SipdLogger.activity(dtag)('Heartbeat error: %s!', err))
+                    .then(() => {
+                        if (this.timer) {
+                            this.timer = setTimeout(f, this.heartbeat);
+                        }
+                    });
+            }
+            this.timer = setTimeout(f, 0);
+        }
+        return this;
+    }
+
+    /**
+     * Stop the heartbeat.
+     *
+     * @returns {this}
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            delete this.timer;
+        }
+        return this;
+    }
+
+    /**
+     * Get Redis key.
+     *
+     * @param {string} name Key name
+     * @returns {string}
+     */
+    key(name) {
+        return `${this.prefix}:${name}`;
+    }
+
+    /**
+     * Get connected Redis client.
+     *
+     * @returns {Promise<any>}
+     */
+    async getRedis() {
+        if (this.redis === undefined) {
+            this._ready = false;
+            const { createClient } = require('redis');
+            this.redis = createClient({url: this.con});
+            this.redis
+                .on('error', err => {
+                    if (this._ready) {
+                        this._ready = false;
+                    }
+                })
+                .on('ready', () => {
+                    this._ready = true;
+                })
+                .connect();
+        }
+        await new Promise(resolve => {
+            const timer = new SipdTimer({delta: 60});
+            const f = () => {
+                if (this._ready) {
+                    resolve();
+                } else {
+                    timer.check(t => SipdLogger.activity(dtag)(`Still waiting Redis connection to be ready after ${t.elapsedTime}...`));
+                    setTimeout(f, 1000);
+                }
+            }
+            f();
+        });
+        return this.redis;
+    }
+
+    /**
+     * Is queue can be processed by any node? A queue which saves its result
+     * to local directory is kept local.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {boolean}
+     */
+    isShared(queue) {
+        return queue.isFlagged('e') && !queue.outdir;
+    }
+
+    /**
+     * Publish queue so it can be claimed by any node.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {Promise<any>}
+     */
+    async publish(queue) {
+        const redis = await this.getRedis();
+        const item = {...queue.getSaveData(), origin: this.node, queued: queue.queued.getTime()};
+        await redis.hSet(this.key('items'), queue.id, JSON.stringify(item));
+        await this.setStatus(queue);
+        await redis.zAdd(this.key('pending'), {score: item.queued, value: queue.id});
+        this.watches.set(queue.id, queue);
+    }
+
+    /**
+     * Claim queue, returns true if queue is successfully claimed by this node.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {Promise<boolean>}
+     */
+    async claim(queue) {
+        const redis = await this.getRedis();
+        // move from pending to claims at once, so the queue is never lost in between
+        const claimed = await redis.eval(SipdCluster.CLAIM_SCRIPT, {
+            keys: [this.key('pending'), this.key('claims')],
+            arguments: [queue.id, (Date.now() + this.visibility).toString()],
+        });
+        if (claimed === 1) {
+            await this.setStatus(queue);
+            this.watches.delete(queue.id);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Mark claimed queue as finished.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {Promise<any>}
+     */
+    async finish(queue) {
+        const redis = await this.getRedis();
+        await redis.zRem(this.key('claims'), queue.id);
+        await redis.hDel(this.key('items'), queue.id);
+        await this.setStatus(queue);
+        await redis.zAdd(this.key('finished'), {score: Date.now(), value: queue.id});
+        const excess = await redis.zCard(this.key('finished')) - this.retention;
+        if (excess > 0) {
+            const ids = await redis.zRange(this.key('finished'), 0, excess - 1);
+            if (ids.length) {
+                await redis.zRem(this.key('finished'), ids);
+                await redis.hDel(this.key('status'), ids);
+            }
+        }
+    }
+
+    /**
+     * Request cancellation of a queue claimed by other node, returns true if
+     * the queue is claimed.
+     *
+     * @param {string} id Queue id
+     * @returns {Promise<boolean>}
+     */
+    async cancel(id) {
+        const redis = await this.getRedis();
+        if (await redis.zScore(this.key('claims'), id) !== null) {
+            await redis.sAdd(this.key('cancels'), id);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Store shared queue status.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {Promise<any>}
+     */
+    async setStatus(queue) {
+        const redis = await this.getRedis();
+        await redis.hSet(this.key('status'), queue.id, JSON.stringify({...queue.getLog(true), node: this.node}));
+    }
+
+    /**
+     * Do heartbeat, which refreshes claimed queues visibility, puts back
+     * abandoned queues, picks up new queues, and handles cancellation.
+     *
+     * @returns {Promise<any>}
+     */
+    async beat() {
+        const redis = await this.getRedis();
+        const now = Date.now();
+        const queues = [...this.dequeue.processing, ...this.dequeue.queues];
+        // refresh claimed queues
+        for (const queue of queues.filter(q => q.claimed)) {
+            await redis.zAdd(this.key('claims'), {score: now + this.visibility, value: queue.id}, {XX: true});
+            await this.setStatus(queue);
+        }
+        // put back abandoned queues
+        for (const id of await redis.zRangeByScore(this.key('claims'), 0, now)) {
+            const released = await redis.eval(SipdCluster.RELEASE_SCRIPT, {
+                keys: [this.key('claims'), this.key('items'), this.key('pending')],
+                arguments: [id],
+            });
+            if (released === 1) {
+                SipdLogger.activity(dtag)('Queue %s was abandoned, queued for retry', id);
+            }
+        }
+        // pick up new queues
+        const ids = queues.map(q => q.id);
+        const pendings = await redis.zRange(this.key('pending'), 0, -1);
+        for (const id of pendings) {
+            if (this.watches.has(id) && !ids.includes(id)) {
+                // the node which claimed it was gone, process it here again
+                this.dequeue.restoreQueue(this.watches.get(id));
+                continue;
+            }
+            if (!ids.includes(id) && !this.ignores.has(id)) {
+                const item = await redis.hGet(this.key('items'), id);
+                if (item && !this.addQueue(JSON.parse(item))) {
+                    this.ignores.add(id);
+                }
+            }
+        }
+        for (const id of [...this.ignores]) {
+            if (!pendings.includes(id)) {
+                this.ignores.delete(id);
+            }
+        }
+        // cancel requested queues
+        for (const id of await redis.sMembers(this.key('cancels'))) {
+            if (queues.find(q => q.id === id && q.claimed)) {
+                await redis.sRem(this.key('cancels'), id);
+                this.dequeue.cancel(id);
+            }
+        }
+        // end watched queues which were finished by other node
+        for (const [id, queue] of this.watches.entries()) {
+            const status = await redis.hGet(this.key('status'), id);
+            const log = status ? JSON.parse(status) : null;
+            if (log && log.node !== this.node && SipdQueue.STATUSES_FINISHED.includes(log.status)) {
+                this.watches.delete(id);
+                this.dequeue.settleQueue(queue, log);
+            }
+        }
+        await redis.hSet(this.key('nodes'), this.node, JSON.stringify({
+            time: now,
+            queue: this.dequeue.queues.length,
+            processing: this.dequeue.processing.length,
+            current: this.dequeue.processing.filter(q => q.claimed).map(q => q.id),
+        }));
+    }
+
+    /**
+     * Add queue published by other node, returns false if the queue can't
+     * be handled by this node.
+     *
+     * @param {object} item Queue data
+     * @returns {boolean}
+     */
+    addQueue(item) {
+        try {
+            const queue = this.dequeue.createNewQueue(item);
+            if (queue) {
+                queue.id = item.id;
+                queue.remote = true;
+                queue.shared = true;
+                this.dequeue.add(queue);
+                return true;
+            }
+        }
+        catch (err) {
+            SipdLogger.activity(dtag)('Unable to add shared queue %s: %s!', item.id, err);
+        }
+        return false;
+    }
+
+    /**
+     * Get cluster status.
+     *
+     * @returns {Promise<object>}
+     */
+    async getStatus() {
+        const redis = await this.getRedis();
+        const now = Date.now();
+        const nodes = [];
+        for (const [node, value] of Object.entries(await redis.hGetAll(this.key('nodes')))) {
+            const status = JSON.parse(value);
+            nodes.push({
+                node,
+                ...status,
+                time: new Date(status.time).toString(),
+                alive: now - status.time < this.heartbeat * 3,
+            });
+        }
+        return {
+            node: this.node,
+            nodes,
+            queue: await redis.zCard(this.key('pending')),
+            processing: await redis.zCard(this.key('claims')),
+        }
+    }
+
+    /**
+     * Get shared queue logs merged with local logs, ordered by time.
+     *
+     * @param {object[]} logs Local logs
+     * @returns {Promise<object[]>}
+     */
+    async getLogs(logs) {
+        const redis = await this.getRedis();
+        const res = (await redis.hVals(this.key('status'))).map(value => JSON.parse(value));
+        const ids = res.map(log => log.id);
+        res.push(...logs.filter(log => !ids.includes(log.id)));
+        return res.sort((a, b) => new Date(a.time ?? 0).getTime() - new Date(b.time ?? 0).getTime());
+    }
+
+    static get CLAIM_SCRIPT() {
+        return `
+            if redis.call('ZREM', KEYS[1], ARGV[1]) == 1 then
+                redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+                return 1
+            end
+            return 0
+        `;
+    }
+
+    static get RELEASE_SCRIPT() {
+        return `
+            if redis.call('ZREM', KEYS[1], ARGV[1]) == 1 then
+                local item = redis.call('HGET', KEYS[2], ARGV[1])
+                if item then
+                    redis.call('ZADD', KEYS[3], cjson.decode(item).queued, ARGV[1])
+                    return 1
+                end
+            end
+            return 0
+        `;
+    }
+}
+
+module.exports = SipdCluster;
\ No newline at end of file
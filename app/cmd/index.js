@@ -25,6 +25,7 @@
 const fs = require('fs');
 const path = require('path');
 const { Socket } = require('socket.io');
+const { SipdFormPlanner } = require('../session/planner');
 
 /**
  * Sipd command handler.
@@ -67,7 +68,8 @@ class SipdCmd {
     }
 
     /**
-     * Check if handler can consume data.
+     * Check if handler can consume data. A rejected data has its reason
+     * stored in payload error.
      *
      * @param {object} payload Data payload
      * @param {object} data Data values
@@ -75,6 +77,15 @@ class SipdCmd {
      * @returns {boolean}
      */
     validate(payload) {
+        const { data } = payload;
+        // batch items are validated individually
+        if (data && !Array.isArray(data.items)) {
+            const res = this.checkSchema(data);
+            if (res) {
+                payload.error = res;
+                return false;
+            }
+        }
         return true;
     }
 
@@ -89,6 +100,85 @@ class SipdCmd {
     consume(payload) {
     }
 
+    /**
+     * Create queues for batch items and returns the batch status.
+     *
+     * @param {string} type Queue type
+     * @param {object[]} items Queue data items
+     * @param {Socket} socket Client socket
+     * @returns {object}
+     */
+    createBatch(type, items, socket) {
+        const batch = this.dequeue.createBatch(type, socket?.callback);
+        for (const item of items) {
+            let res, queue;
+            try {
+                res = this.checkSchema(item);
+                if (!res) {
+                    [res, queue] = this.dequeue.createQueue({
+                        mode: this.mode,
+                        type,
+                        data: item,
+                        callback: socket?.callback,
+                    }, true);
+                }
+            }
+            catch (err) {
+                res = this.createError(err);
+            }
+            batch.add(res, queue);
+        }
+        this.dequeue.endBatch(batch);
+        return batch.getStatus();
+    }
+
+    /**
+     * Plan form fill-in of queue data without running the bridge, along
+     * with the schema errors if any.
+     *
+     * @param {string} type Queue type
+     * @param {object} data Queue data
+     * @returns {object}
+     */
+    createPlan(type, data) {
+        try {
+            const queue = this.dequeue.createNewQueue({mode: this.mode, type, data});
+            const res = {forms: new SipdFormPlanner(queue).plan()};
+            const fields = this.config.schemas?.[this.mode]?.validate(data);
+            if (fields) {
+                res.fields = fields;
+            }
+            return res;
+        }
+        catch (err) {
+            return this.createError(err);
+        }
+    }
+
+    /**
+     * Get schema to validate queue data.
+     *
+     * @returns {import('../schema')|undefined}
+     */
+    getSchema() {
+    }
+
+    /**
+     * Check queue data against the schema.
+     *
+     * @param {object} data Queue data
+     * @returns {object|undefined} Error result with per-field errors if data is not valid
+     */
+    checkSchema(data) {
+        const schema = this.getSchema();
+        if (schema) {
+            const fields = schema.validate(data);
+            if (fields) {
+                return {...this.createError('Data is not valid!'), fields};
+            }
+        }
+    }
+
     /**
      * Create an error message.
      *
@@ -189,8 +279,9 @@ class SipdCmd {
     static handle(socket) {
         for (const cmd of this.commands) {
             socket.on(cmd.name, data => {
-                if (cmd.validate({socket, data})) {
-                    const result = cmd.consume({socket, data});
+                const payload = {socket, data};
+                if (cmd.validate(payload)) {
+                    const result = cmd.consume(payload);
                     if (result) {
                         if (result instanceof Promise) {
                             result
@@ -200,6 +291,8 @@ class SipdCmd {
                             socket.emit(cmd.name, result);
                         }
                     }
+                } else if (payload.error) {
+                    socket.emit(cmd.name, payload.error);
                 }
             });
         }
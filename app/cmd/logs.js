@@ -22,7 +22,9 @@
  * SOFTWARE.
  */
 
+const util = require('util');
 const SipdCmd = require('.');
+const SipdQueue = require('../queue');
 
 /**
  * Handle bridge logs.
@@ -34,6 +36,33 @@ class SipdCmdLogs extends SipdCmd {
     consume(payload) {
         const { data } = payload;
         if (data.id) {
+            if (this.dequeue.cluster) {
+                return this.dequeue.cluster.getLogs(this.dequeue.getLogs(SipdQueue.LOG_RAW))
+                    .then(logs => {
+                        logs = logs.map(log => {
+                            if (log.result && typeof log.result === 'object') {
+                                log.result = util.inspect(log.result);
+                            }
+                            return log;
+                        });
+                        if (data.limit) {
+                            const offset = parseInt(data.offset ?? 0);
+                            return {
+                                ref: data.id,
+                                count: logs.length,
+                                logs: logs.reverse().slice(offset, offset + parseInt(data.limit)),
+                            };
+                        }
+                        return {ref: data.id, logs};
+                    });
+            }
+            if (data.limit) {
+                return {
+                    ref: data.id,
+                    count: this.dequeue.countLogs(),
+                    logs: this.dequeue.getLogs(0, {offset: parseInt(data.offset ?? 0), limit: parseInt(data.limit)}),
+                };
+            }
             return {ref: data.id, logs: this.dequeue.getLogs()};
         }
     }
@@ -33,30 +33,20 @@ const SipdQueue = require('../../queue');
 class SipdCmdLpjQuery extends SipdCmd {
 
     consume(payload) {
-        let result;
         const { socket, data, filename } = payload;
-        const batch = Array.isArray(data.items);
-        const items = batch ? data.items : [data];
-        let cnt = 0;
-        items.forEach(lpj => {
-            const [res, queue] = this.dequeue.createQueue({
-                mode: this.mode,
-                type: SipdQueue.QUEUE_LPJ_QUERY,
-                data: lpj,
-                callback: socket?.callback,
-            }, true);
-            cnt++;
-            if (!batch) {
-                if (filename) {
-                    queue.filename = filename;
-                }
-                result = res;
-            }
-        });
-        if (batch) {
-            result = {count: cnt, message: 'LPJ query is being queued'};
+        if (Array.isArray(data.items)) {
+            return {...this.createBatch(SipdQueue.QUEUE_LPJ_QUERY, data.items, socket), message: 'LPJ query is being queued'};
         }
-        return result;
+        const [res, queue] = this.dequeue.createQueue({
+            mode: this.mode,
+            type: SipdQueue.QUEUE_LPJ_QUERY,
+            data,
+            callback: socket?.callback,
+        }, true);
+        if (queue && filename) {
+            queue.filename = filename;
+        }
+        return res;
     }
 }
 
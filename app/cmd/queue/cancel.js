@@ -0,0 +1,52 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SipdCmd = require('..');
+
+/**
+ * Handle queue cancellation.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdCmdQueueCancel extends SipdCmd {
+
+    consume(payload) {
+        const { data } = payload;
+        if (data && data.id) {
+            const queue = this.dequeue.cancel(data.id);
+            if (queue) {
+                return {id: queue.id, status: queue.status};
+            }
+            // the queue may be processed by other node
+            if (this.dequeue.cluster) {
+                return this.dequeue.cluster.cancel(data.id)
+                    .then(requested => requested ? {id: data.id, status: 'cancelling'} :
+                        this.createError(`Queue ${data.id} is not found or already finished!`));
+            }
+            return this.createError(`Queue ${data.id} is not found or already finished!`);
+        }
+    }
+}
+
+module.exports = SipdCmdQueueCancel;
\ No newline at end of file
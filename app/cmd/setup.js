@@ -24,6 +24,7 @@
 
 const crypto = require('crypto');
 const SipdCmd = require('.');
+const SipdNotifier = require('../notifier');
 
 /**
  * Handle client setup to allow client to provide callback and public key
@@ -40,6 +41,9 @@ class SipdCmdSetup extends SipdCmd {
             res.version = this.parent.VERSION;
             if (data.callback) {
                 socket.callback = data.callback;
+                if (data.secret) {
+                    SipdNotifier.setSecret(data.callback, data.secret);
+                }
             }
             if (data.key) {
                 if (typeof data.key === 'string') {
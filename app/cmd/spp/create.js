@@ -32,28 +32,21 @@ const SipdQueue = require('../../queue');
  */
 class SipdCmdSppCreate extends SipdCmd {
 
+    getSchema() {
+        return this.config.schemas?.[this.mode];
+    }
+
     consume(payload) {
-        let result;
         const { socket, data } = payload;
-        const batch = Array.isArray(data.items);
-        const items = batch ? data.items : [data];
-        let cnt = 0;
-        items.forEach(spp => {
-            const res = this.dequeue.createQueue({
-                mode: this.mode,
-                type: SipdQueue.QUEUE_SPP,
-                data: spp,
-                callback: socket?.callback,
-            });
-            cnt++;
-            if (!batch) {
-                result = res;
-            }
-        });
-        if (batch) {
-            result = {count: cnt, message: 'SPP is being queued'};
+        if (Array.isArray(data.items)) {
+            return {...this.createBatch(SipdQueue.QUEUE_SPP, data.items, socket), message: 'SPP is being queued'};
         }
-        return result;
+        return this.dequeue.createQueue({
+            mode: this.mode,
+            type: SipdQueue.QUEUE_SPP,
+            data,
+            callback: socket?.callback,
+        });
     }
 }
 
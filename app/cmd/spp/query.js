@@ -33,30 +33,20 @@ const SipdQueue = require('../../queue');
 class SipdCmdSppQuery extends SipdCmd {
 
     consume(payload) {
-        let result;
         const { socket, data, outdir } = payload;
-        const batch = Array.isArray(data.items);
-        const items = batch ? data.items : [data];
-        let cnt = 0;
-        items.forEach(spp => {
-            const [res, queue] = this.dequeue.createQueue({
-                mode: this.mode,
-                type: SipdQueue.QUEUE_SPP_QUERY,
-                data: spp,
-                callback: socket?.callback,
-            }, true);
-            cnt++;
-            if (!batch) {
-                if (outdir) {
-                    queue.outdir = outdir;
-                }
-                result = res;
-            }
-        });
-        if (batch) {
-            result = {count: cnt, message: 'SPP query is being queued'};
+        if (Array.isArray(data.items)) {
+            return {...this.createBatch(SipdQueue.QUEUE_SPP_QUERY, data.items, socket), message: 'SPP query is being queued'};
         }
-        return result;
+        const [res, queue] = this.dequeue.createQueue({
+            mode: this.mode,
+            type: SipdQueue.QUEUE_SPP_QUERY,
+            data,
+            callback: socket?.callback,
+        }, true);
+        if (queue && outdir) {
+            queue.outdir = outdir;
+        }
+        return res;
     }
 }
 
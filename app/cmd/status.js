@@ -32,7 +32,13 @@ const SipdCmd = require('.');
 class SipdCmdStatus extends SipdCmd {
 
     consume(payload) {
-        return this.dequeue.getStatus();
+        const status = this.dequeue.getStatus();
+        if (this.dequeue.cluster) {
+            return this.dequeue.cluster.getStatus()
+                .then(cluster => ({...status, cluster}))
+                .catch(err => ({...status, cluster: this.createError(err)}));
+        }
+        return status;
     }
 }
 
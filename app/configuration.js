@@ -27,6 +27,7 @@ const fs = require('fs');
 const path = require('path');
 const Cmd = require('@ntlab/ntlib/cmd');
 const SipdLogger = require('./sipd/logger');
+const SipdSchema = require('./schema');
 const { SipdRoleSwitcher } = require('./sipd/role');
 
 Cmd.addBool('help', 'h', 'Show program usage').setAccessible(false);
@@ -36,7 +37,7 @@ Cmd.addVar('port', 'p', 'Set server port to listen', 'port');
 Cmd.addVar('url', '', 'Set Sipd url', 'url');
 Cmd.addVar('profile', '', 'Use profile for operation', 'profile');
 Cmd.addBool('clean', '', 'Clean profile directory');
-Cmd.addBool('queue', 'q', 'Enable queue saving and loading');
+Cmd.addBool('queue', 'q', 'Enable queue journaling, saving and loading');
 Cmd.addBool('noop', '', 'Do not process queue');
 Cmd.addVar('count', '', 'Limit number of operation such as when fetching captcha', 'number');
 Cmd.addVar('out', '', 'Set the output directory for certain operation', 'directory');
@@ -110,6 +111,7 @@ class Configuration {
             [Configuration.BRIDGE_UTIL]: 'util.json',
         }
         this.maps = {};
+        this.schemas = {};
         for (const [mode, mapping] of Object.entries(mappings)) {
             if (this.mode && this.mode !== mode) {
                 continue;
@@ -119,6 +121,12 @@ class Configuration {
                 this.maps[mode] = JSON.parse(fs.readFileSync(filename));
                 console.log('Maps loaded from %s', filename);
             }
+            // load data schema, e.g. spp.meta.json
+            filename = path.join(this.workdir, 'mappings', mapping.replace('.json', '.meta.json'));
+            if (fs.existsSync(filename)) {
+                this.schemas[mode] = new SipdSchema(JSON.parse(fs.readFileSync(filename)));
+                console.log('Schema loaded from %s', filename);
+            }
         }
         // set roles directory
         SipdRoleSwitcher.setDir(path.join(this.workdir, 'roles'));
@@ -148,6 +156,19 @@ class Configuration {
             SipdLockManager.store = SipdLockStoreRedis.setConnection(this.redis);
             console.log('Redis connection', this.redis);
         }
+        if (this.limits) {
+            const { SipdLockManager } = require('./bridge/lock');
+            SipdLockManager.limits = this.limits;
+        }
+        if (this.callback) {
+            const SipdNotifier = require('./notifier');
+            if (this.callback.secrets) {
+                SipdNotifier.secrets = this.callback.secrets;
+            }
+            if (this.callback.timeout) {
+                SipdNotifier.timeout = this.callback.timeout;
+            }
+        }
         this.initialized = true;
     }
 
@@ -0,0 +1,223 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SipdLogger = require('./sipd/logger');
+
+const dtag = 'deadletter';
+
+/**
+ * Failed queue store.
+ *
+ * Keeps queues which are failed after exhausting its retry along with the
+ * original data, error and captured screenshots, so it can be replayed later.
+ * Binary attachments of the data, such as PDF, are stored in their own files
+ * so the store stays small.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdDeadLetter {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Store filename
+     */
+    constructor(filename) {
+        this.filename = filename;
+        this.dir = path.join(path.dirname(filename), 'deadletter');
+        /** @type {object[]} */
+        this.items = [];
+        this.load();
+    }
+
+    /**
+     * Load items from file.
+     *
+     * @returns {this}
+     */
+    load() {
+        if (fs.existsSync(this.filename)) {
+            try {
+                this.items = JSON.parse(fs.readFileSync(this.filename));
+            }
+            catch (err) {
+                SipdLogger.activity(dtag)('Unable to load dead letter %s: %s!', this.filename, err);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Save items to file.
+     *
+     * @returns {this}
+     */
+    save() {
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        fs.writeFileSync(this.filename, JSON.stringify(this.items));
+        return this;
+    }
+
+    /**
+     * Move binary values out of data into attachment files.
+     *
+     * @param {any} value Value
+     * @param {object} item Item which owns the attachments
+     * @returns {any}
+     */
+    storeAttachments(value, item) {
+        if (Buffer.isBuffer(value) || (value && value.type === 'Buffer' && Array.isArray(value.data))) {
+            const buff = Buffer.isBuffer(value) ? value : Buffer.from(value.data);
+            const name = `${item.id}-${item.attachments.length + 1}.bin`;
+            if (!fs.existsSync(this.dir)) {
+                fs.mkdirSync(this.dir, {recursive: true});
+            }
+            fs.writeFileSync(path.join(this.dir, name), buff);
+            item.attachments.push(name);
+            return {[SipdDeadLetter.ATTACHMENT]: name, size: buff.length};
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => this.storeAttachments(v, item));
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const res = {};
+            for (const [k, v] of Object.entries(value)) {
+                res[k] = this.storeAttachments(v, item);
+            }
+            return res;
+        }
+        return value;
+    }
+
+    /**
+     * Restore binary values of data from attachment files.
+     *
+     * @param {any} value Value
+     * @returns {any}
+     */
+    loadAttachments(value) {
+        if (Array.isArray(value)) {
+            return value.map(v => this.loadAttachments(v));
+        }
+        if (value && typeof value === 'object') {
+            if (value[SipdDeadLetter.ATTACHMENT]) {
+                const filename = path.join(this.dir, value[SipdDeadLetter.ATTACHMENT]);
+                if (fs.existsSync(filename)) {
+                    return fs.readFileSync(filename);
+                }
+                SipdLogger.activity(dtag)('Attachment %s is missing!', value[SipdDeadLetter.ATTACHMENT]);
+                return null;
+            }
+            const res = {};
+            for (const [k, v] of Object.entries(value)) {
+                res[k] = this.loadAttachments(v);
+            }
+            return res;
+        }
+        return value;
+    }
+
+    /**
+     * Remove attachment files of an item.
+     *
+     * @param {object} item Item
+     */
+    removeAttachments(item) {
+        for (const name of item.attachments ?? []) {
+            fs.rmSync(path.join(this.dir, name), {force: true});
+        }
+    }
+
+    /**
+     * Store a failed queue.
+     *
+     * @param {import('./queue')} queue Queue
+     * @returns {this}
+     */
+    add(queue) {
+        const error = queue.result instanceof Error ? queue.result.message : queue.result;
+        const existing = this.get(queue.id);
+        if (existing) {
+            this.items.splice(this.items.indexOf(existing), 1);
+            this.removeAttachments(existing);
+        }
+        const item = {
+            ...queue.getSaveData(),
+            info: queue.info,
+            error: error !== undefined && error !== null ? `${error}` : null,
+            captures: queue.captures ?? [],
+            retries: queue.retryCount ?? 0,
+            time: new Date().toISOString(),
+            attachments: [],
+        };
+        item.data = this.storeAttachments(item.data, item);
+        this.items.push(item);
+        return this.save();
+    }
+
+    /**
+     * Get stored item.
+     *
+     * @param {string} id Queue id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * Get original queue data of stored item.
+     *
+     * @param {object} item Item
+     * @returns {object}
+     */
+    getData(item) {
+        return this.loadAttachments(item.data);
+    }
+
+    /**
+     * Remove stored item.
+     *
+     * @param {string} id Queue id
+     * @returns {object|undefined}
+     */
+    remove(id) {
+        const item = this.get(id);
+        if (item) {
+            this.items.splice(this.items.indexOf(item), 1);
+            this.removeAttachments(item);
+            this.save();
+        }
+        return item;
+    }
+
+    static get ATTACHMENT() { return '$attachment' }
+}
+
+module.exports = SipdDeadLetter;
\ No newline at end of file
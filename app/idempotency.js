@@ -0,0 +1,204 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SipdLogger = require('./sipd/logger');
+
+const dtag = 'idempotency';
+
+/**
+ * Queue idempotency index.
+ *
+ * Remembers submitted queue by its type and reference, so the same request
+ * is not processed twice even after the queue is finished or the process
+ * is restarted. Each change is appended to the index file, which is
+ * compacted to the live entries once enough changes are appended.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdIdempotency {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Index filename
+     * @param {object} options Options
+     * @param {number} options.ttl How long an entry is kept in milliseconds
+     * @param {number} options.compact Number of appended changes before index is compacted
+     */
+    constructor(filename, options = {}) {
+        this.filename = filename;
+        this.ttl = options.ttl ?? 30 * 24 * 60 * 60 * 1000;
+        this.threshold = options.compact ?? 100;
+        this.changes = 0;
+        /** @type {{[key: string]: {id: string, status: string, result: any, time: number}}} */
+        this.entries = {};
+        this.load();
+    }
+
+    /**
+     * Load index by replaying its changes.
+     *
+     * @returns {this}
+     */
+    load() {
+        if (fs.existsSync(this.filename)) {
+            const lines = fs.readFileSync(this.filename)
+                .toString()
+                .split('\n')
+                .filter(Boolean);
+            for (const line of lines) {
+                let rec;
+                try {
+                    rec = JSON.parse(line);
+                }
+                catch (err) {
+                    // a partially written record, most likely the last one
+                    SipdLogger.activity(dtag)('Skipping malformed idempotency record: %s', line.substr(0, 50));
+                    continue;
+                }
+                switch (rec.op) {
+                    case SipdIdempotency.OP_SET:
+                        this.entries[rec.key] = rec.entry;
+                        break;
+                    case SipdIdempotency.OP_REMOVE:
+                        delete this.entries[rec.key];
+                        break;
+                }
+            }
+        }
+        return this.purge();
+    }
+
+    /**
+     * Append a change to index file.
+     *
+     * @param {string} op Operation
+     * @param {object} data Record data
+     * @returns {this}
+     */
+    write(op, data) {
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        try {
+            fs.appendFileSync(this.filename, JSON.stringify({op, ...data}) + '\n');
+        }
+        catch (err) {
+            SipdLogger.activity(dtag)('Unable to write idempotency index %s: %s!', this.filename, err);
+        }
+        if (++this.changes >= this.threshold) {
+            this.compact();
+        }
+        return this;
+    }
+
+    /**
+     * Rewrite index file to only contain the live entries.
+     *
+     * @returns {this}
+     */
+    compact() {
+        try {
+            const lines = Object.entries(this.purge().entries)
+                .map(([key, entry]) => JSON.stringify({op: SipdIdempotency.OP_SET, key, entry}) + '\n');
+            const filename = `${this.filename}.tmp`;
+            fs.writeFileSync(filename, lines.join(''));
+            fs.renameSync(filename, this.filename);
+            this.changes = 0;
+        }
+        catch (err) {
+            SipdLogger.activity(dtag)('Unable to compact idempotency index %s: %s!', this.filename, err);
+        }
+        return this;
+    }
+
+    /**
+     * Remove expired entries.
+     *
+     * @returns {this}
+     */
+    purge() {
+        if (this.ttl > 0) {
+            const time = Date.now() - this.ttl;
+            for (const [key, entry] of Object.entries(this.entries)) {
+                if (entry.time < time) {
+                    delete this.entries[key];
+                }
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Get entry.
+     *
+     * @param {string} key Key
+     * @returns {{id: string, status: string, result: any, time: number}|undefined}
+     */
+    get(key) {
+        const entry = this.entries[key];
+        if (entry && this.ttl > 0 && entry.time < Date.now() - this.ttl) {
+            delete this.entries[key];
+            return;
+        }
+        return entry;
+    }
+
+    /**
+     * Set entry.
+     *
+     * @param {string} key Key
+     * @param {string} id Queue id
+     * @param {string} status Queue status
+     * @param {any} result Queue result
+     * @returns {this}
+     */
+    set(key, id, status, result = null) {
+        const entry = {id, status, result, time: Date.now()};
+        this.entries[key] = entry;
+        return this.write(SipdIdempotency.OP_SET, {key, entry});
+    }
+
+    /**
+     * Remove entry.
+     *
+     * @param {string} key Key
+     * @returns {this}
+     */
+    remove(key) {
+        if (this.entries[key]) {
+            delete this.entries[key];
+            this.write(SipdIdempotency.OP_REMOVE, {key});
+        }
+        return this;
+    }
+
+    static get OP_SET() { return 'set' }
+    static get OP_REMOVE() { return 'remove' }
+}
+
+module.exports = SipdIdempotency;
\ No newline at end of file
@@ -26,7 +26,9 @@ const path = require('path');
 const util = require('util');
 const Cmd = require('@ntlab/ntlib/cmd');
 const Api = require('./api');
+const SipdArchive = require('./archive');
 const CaptchaSolver = require('./solver');
+const SipdCluster = require('./cluster');
 const Configuration = require('./configuration');
 const SipdBridgeCommon = require('./bridge/common');
 const SipdBridgeRekanan = require('./bridge/rekanan');
@@ -34,12 +36,22 @@ const SipdBridgeLpj = require('./bridge/lpj');
 const SipdBridgeSpp = require('./bridge/spp');
 const SipdBridgeUtil = require('./bridge/util');
 const SipdCmd = require('./cmd');
+const SipdDeadLetter = require('./deadletter');
+const SipdIdempotency = require('./idempotency');
+const SipdJournal = require('./journal');
 const SipdLogger = require('./sipd/logger');
+const SipdMailer = require('./mailer');
+const SipdMetrics = require('./metrics');
+const SipdOutbox = require('./outbox');
 const SipdQueue = require('./queue');
+const SipdSp2dTracker = require('./tracker');
 const SipdUtil = require('./sipd/util');
+const SipdWebhook = require('./webhook');
 const Queue = require('@ntlab/work/queue');
 const Work = require('@ntlab/work/work');
 const { SipdBridge } = require('./bridge');
+const { SipdLockManager } = require('./bridge/lock');
+const { SipdScheduler } = require('./scheduler');
 const { Socket } = require('socket.io');
 
 const dtag = 'app';
@@ -133,14 +145,23 @@ class App {
 
     /**
      * Create queue processor (aka. dequeuer).
+     *
+     * @param {boolean} serve True to keep queue stores for serving clients
      */
-    createDequeuer() {
+    createDequeuer(serve = true) {
         this.dequeue = SipdQueue.createDequeuer();
+        if (this.config.queue) {
+            this.dequeue.configure(this.config.queue);
+        }
         this.dequeue.setInfo({
             version: this.VERSION,
             ready: () => this.ready ? 'Yes' : 'No',
             captcha: () => this.getCaptcha(),
+            paused: () => this.getPaused(),
         });
+        if (this.config.queue?.tracker) {
+            this.tracker = new SipdSp2dTracker(this.dequeue, this.config.queue.tracker);
+        }
         this.dequeue.createQueue = (data, ret) => {
             let res;
             const queue = this.dequeue.createNewQueue(data);
@@ -148,7 +169,8 @@ class App {
                 if (data.id) {
                     queue.id = data.id;
                 }
-                if (SipdQueue.hasPendingQueue(queue)) {
+                res = this.dequeue.getIdempotent(queue);
+                if (res === undefined && SipdQueue.hasPendingQueue(queue)) {
                     res = {message: `A queue for ${queue.id} is already exist or being processed!`};
                 }
                 if (res === undefined) {
@@ -175,9 +197,36 @@ class App {
             .on('queue', q => this.handleNotify(q))
             .on('queue-done', q => this.handleNotify(q))
             .on('queue-error', q => this.handleNotify(q))
+            .on('queue', q => this.handleEvent(SipdWebhook.EVENT_QUEUE, q))
+            .on('queue-done', q => this.handleEvent(SipdWebhook.EVENT_DONE, q, {result: q.result}))
+            .on('queue-error', q => this.handleEvent(SipdWebhook.EVENT_ERROR, q, {
+                error: q.result instanceof Error ? q.result.message : q.result,
+            }))
         ;
+        this.webhook = new SipdWebhook(path.join(process.cwd(), 'queue', 'webhooks.json'), (callback, data) => {
+            SipdQueue.addQueue(SipdQueue.createCallbackQueue(data, callback));
+        });
+        // a command line run only processes its own queue
+        if (serve) {
+            this.dequeue.setDeadLetter(new SipdDeadLetter(path.join(process.cwd(), 'queue', 'deadletter.json')));
+            this.dequeue.setArchive(new SipdArchive(path.join(process.cwd(), 'queue', 'archive'), this.config.queue?.archive));
+            this.dequeue.setIdempotency(new SipdIdempotency(path.join(process.cwd(), 'queue', 'idempotency.log'), this.config.queue?.idempotency));
+            this.dequeue.setOutbox(new SipdOutbox(path.join(process.cwd(), 'queue', 'outbox.log'), this.config.queue?.outbox));
+            this.dequeue.outbox.start(item => {
+                const queue = SipdQueue.createCallbackQueue(item.data, item.callback);
+                queue.outbox = item.id;
+                queue.signed = item.signed;
+                SipdQueue.addQueue(queue);
+                return queue.id;
+            });
+        }
         if (Cmd.get('queue')) {
+            this.dequeue.setJournal(new SipdJournal(path.join(process.cwd(), 'queue', 'journal.log'), this.config.queue?.journal));
             const f = () => {
+                if (this.captchaTimer) {
+                    clearInterval(this.captchaTimer);
+                    delete this.captchaTimer;
+                }
                 console.log('Please wait, saving queues...');
                 this.dequeue.saveQueue();
                 this.dequeue.saveLogs();
@@ -188,6 +237,74 @@ class App {
         }
     }
 
+    /**
+     * Create operator email notifier.
+     *
+     * @param {boolean} serve True to also watch unsolved captcha
+     */
+    createMailer(serve = true) {
+        if (this.config.mail && this.config.mail.smtp) {
+            this.mailer = new SipdMailer({
+                capturedir: path.join(this.config.workdir, this.config.capturedirname),
+                ...this.config.mail,
+            });
+            this.dequeue.on('queue-error', queue => {
+                if (queue.type !== SipdQueue.QUEUE_CALLBACK && queue.status !== SipdQueue.STATUS_CANCELLED) {
+                    const error = queue.result instanceof Error ? queue.result.message : queue.result;
+                    this.mailer.notify(`Queue ${queue.toString()} is ${queue.status}`,
+                        [queue.info, error].filter(Boolean).join('\n'), queue.captures);
+                }
+            });
+            // notify captcha which is not solved for a while
+            if (serve) {
+                this.watchCaptcha();
+            }
+        }
+    }
+
+    /**
+     * Watch bridges for captcha which is not solved for a while and notify
+     * the operator.
+     */
+    watchCaptcha() {
+        const captchaTimeout = (this.config.mail.captcha ?? 10) * 60 * 1000;
+        this.captchaTimer = setInterval(() => {
+            for (const bridge of this.bridges) {
+                if (bridge.hasState('captcha')) {
+                    if (!bridge.captchaTime) {
+                        bridge.captchaTime = Date.now();
+                    }
+                    if (!bridge.captchaMailed && Date.now() - bridge.captchaTime >= captchaTimeout) {
+                        bridge.captchaMailed = true;
+                        this.mailer.notify(`Bridge ${bridge.name} is waiting for captcha`,
+                            `Captcha is not solved since ${new Date(bridge.captchaTime).toString()}.`);
+                    }
+                } else {
+                    delete bridge.captchaTime;
+                    delete bridge.captchaMailed;
+                }
+            }
+        }, 60 * 1000);
+        // don't keep the process alive only for the watcher
+        this.captchaTimer.unref();
+    }
+
+    /**
+     * Create shared queue store to process queues along with other nodes.
+     */
+    createCluster() {
+        if (this.config.cluster) {
+            if (!this.config.redis) {
+                console.error('Cluster requires Redis connection, cluster is disabled!');
+                return;
+            }
+            const cluster = new SipdCluster(this.config.redis, typeof this.config.cluster === 'object' ? this.config.cluster : {});
+            this.dequeue.setCluster(cluster);
+            cluster.start(this.dequeue);
+            console.log(`Cluster node ${cluster.node} started`);
+        }
+    }
+
     /**
      * Create bridges for queue processing.
      */
@@ -216,6 +333,7 @@ class App {
             const bridge = new SipdBridge(name, config);
             bridge.year = config.year;
             bridge.onState = () => this.handleNotify();
+            bridge.onProgress = (queue, progress) => this.handleProgress(queue, progress);
             for (const mode of ['*', Configuration.BRIDGE_LPJ, Configuration.BRIDGE_SPP, Configuration.BRIDGE_UTIL]) {
                 if (mode !== '*' && this.config.mode && this.config.mode !== mode) {
                     continue;
@@ -242,6 +360,92 @@ class App {
         }
     }
 
+    /**
+     * Create metrics collector.
+     */
+    createMetrics() {
+        this.metrics = new SipdMetrics()
+            .define('queue_depth', 'gauge', 'Number of unfinished queues by type and status')
+            .define('queue_total', 'counter', 'Number of finished queues by type and status')
+            .define('queue_duration_seconds', 'histogram', 'Queue processing duration by type and bridge')
+            .define('queue_retry_total', 'counter', 'Number of queue retry by type')
+            .define('step_duration_seconds', 'histogram', 'Bridge work step duration by bridge and step')
+            .define('captcha_attempt_total', 'counter', 'Number of captcha solving attempt by bridge')
+            .define('captcha_solved_total', 'counter', 'Number of solved captcha by bridge')
+            .define('lock_wait_seconds', 'histogram', 'User lock waiting time', [0.1, 1, 5, 10, 30, 60, 300, 600])
+            .define('bridge_operational', 'gauge', 'Bridge operational state, 1 if operational')
+            .define('bridge_paused', 'gauge', 'Bridge paused state, 1 if paused')
+            .collect(metrics => {
+                metrics.reset('queue_depth');
+                for (const queue of [...this.dequeue.queues, ...this.dequeue.processing]) {
+                    metrics.inc('queue_depth', {type: queue.type, status: queue.status});
+                }
+                for (const bridge of this.bridges) {
+                    metrics.set('bridge_operational', {bridge: bridge.name}, bridge.isOperational() ? 1 : 0);
+                    metrics.set('bridge_paused', {bridge: bridge.name}, this.isPaused(bridge) ? 1 : 0);
+                }
+            });
+        this.steps = new Map();
+        this.dequeue
+            .on('queue-retry', queue => this.metrics.inc('queue_retry_total', {type: queue.type}))
+            .on('queue-end', queue => {
+                this.metrics.inc('queue_total', {type: queue.type, status: queue.status});
+                if (queue.time && [SipdQueue.STATUS_DONE, SipdQueue.STATUS_ERROR, SipdQueue.STATUS_TIMED_OUT,
+                    SipdQueue.STATUS_CANCELLED].includes(queue.status)) {
+                    this.metrics.observe('queue_duration_seconds', {type: queue.type, bridge: queue.bridge?.name},
+                        (Date.now() - queue.time.getTime()) / 1000);
+                }
+                if (queue.bridge) {
+                    this.endStep(queue.bridge);
+                }
+            });
+        SipdLockManager.onAcquired = (lock, id, elapsed) => {
+            this.metrics.observe('lock_wait_seconds', null, elapsed / 1000);
+        }
+    }
+
+    /**
+     * End last work step of bridge and observe its duration.
+     *
+     * @param {SipdBridge} bridge Bridge
+     * @param {object} next Next step
+     */
+    endStep(bridge, next = null) {
+        const step = this.steps.get(bridge);
+        if (step) {
+            this.metrics.observe('step_duration_seconds', {bridge: bridge.name, step: step.step},
+                (Date.now() - step.time) / 1000);
+        }
+        if (next) {
+            this.steps.set(bridge, {step: next.step, time: Date.now()});
+        } else {
+            this.steps.delete(bridge);
+        }
+    }
+
+    /**
+     * Handle metrics request.
+     *
+     * @param {import('http').IncomingMessage} req Request
+     * @param {import('http').ServerResponse} res Response
+     * @returns {boolean} True if request is handled
+     */
+    handleMetrics(req, res) {
+        const options = typeof this.config.metrics === 'object' ? this.config.metrics : {};
+        const url = new URL(req.url, 'http://localhost');
+        if (this.metrics && this.config.metrics !== false && url.pathname === this.config.getPath(options.path ?? '/metrics')) {
+            if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+                res.writeHead(401);
+                res.end();
+            } else {
+                res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'});
+                res.end(this.metrics.render());
+            }
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Create web interface.
      */
@@ -270,7 +474,16 @@ class App {
     createServer(serve = true) {
         const { createServer } = require('http');
         const { Server } = require('socket.io');
-        const http = createServer(this.ui ?? {});
+        const http = createServer((req, res) => {
+            if (!this.handleMetrics(req, res)) {
+                if (this.ui) {
+                    this.ui(req, res);
+                } else {
+                    res.writeHead(404);
+                    res.end();
+                }
+            }
+        });
         const port = Cmd.get('port') || 4000;
         if (serve) {
             const opts = {};
@@ -331,6 +544,10 @@ class App {
                     } else {
                         console.error('Self test reaches an error!');
                     }
+                    this.checkBridges(err);
+                    if (this.mailer) {
+                        this.mailer.notify('Self test failed', err ? `${err}` : null);
+                    }
                 });
             this.checkReadiness();
         });
@@ -354,7 +571,11 @@ class App {
             [Configuration.BRIDGE_SPP]: 'spp',
             [Configuration.BRIDGE_UTIL]: 'util',
         }
-        SipdCmd.setApp(this).register();
+        SipdCmd.setApp(this)
+            .register()
+            .register(null, 'queue', 'queue', true)
+            .register(null, 'batch', 'batch', true)
+            .register(null, 'webhook', 'webhook', true);
         for (const [mode, prefix] of Object.entries(prefixes)) {
             if (this.config.mode && this.config.mode !== mode) {
                 continue;
@@ -365,6 +586,25 @@ class App {
         }
     }
 
+    /**
+     * Create recurring job scheduler.
+     */
+    createScheduler() {
+        if (Array.isArray(this.config.schedules) && this.config.schedules.length) {
+            this.scheduler = new SipdScheduler(this.config.schedules, (command, params) => {
+                const cmd = SipdCmd.get(command);
+                if (!cmd) {
+                    throw new Error(`Command ${command} is not registered`);
+                }
+                if (!cmd.validate(params)) {
+                    throw new Error(`Command ${command} data is not valid: ${JSON.stringify(params.error?.fields ?? params.error)}`);
+                }
+                return cmd.consume(params);
+            });
+            this.scheduler.start();
+        }
+    }
+
     /**
      * Process command line arguments.
      *
@@ -503,8 +743,13 @@ class App {
                     this.createCleanQueue();
                 }
                 if (this.payload) {
-                    const queue = SipdCmd.get(this.payload.command)
-                        .consume(this.payload.params || {});
+                    const cmd = SipdCmd.get(this.payload.command);
+                    const params = this.payload.params || {};
+                    if (!cmd.validate(params)) {
+                        console.error('Data is not valid: %s', JSON.stringify(params.error?.fields ?? params.error));
+                        process.exit(1);
+                    }
+                    const queue = cmd.consume(params);
                     const closeOnCompleteOrError = q => {
                         if (q.id === queue.id && (this.config.autoClose === undefined || this.config.autoClose)) {
                             setTimeout(() => process.exit(), 5000);
@@ -578,8 +823,10 @@ class App {
                                     const [sess, img] = captcha;
                                     const works = [
                                         ...this.solver(img, {dir: path.join(this.config.workdir, this.config.tmpdirname)}),
-                                        [x => bridge.solveCaptcha(x.res, sess), x => x.res],
+                                        [x => bridge.solveCaptcha(x.res, sess)
+                                            .then(() => this.metrics.inc('captcha_solved_total', {bridge: bridge.name})), x => x.res],
                                     ]
+                                    this.metrics.inc('captcha_attempt_total', {bridge: bridge.name});
                                     bridge.works(works)
                                         .then(res => q.next())
                                         .catch(err => reject(err));
@@ -598,6 +845,7 @@ class App {
                 }
             }
         }
+        this.checkBridges();
         if (captcha === 0) {
             for (const socket of this.sockets) {
                 socket.emit('status', this.dequeue.getStatus());
@@ -611,6 +859,83 @@ class App {
         }
     }
 
+    /**
+     * Publish queue event to webhook subscriptions.
+     *
+     * @param {string} event Event name
+     * @param {SipdQueue} queue Queue
+     * @param {object} data Additional event data
+     */
+    handleEvent(event, queue, data = {}) {
+        if (this.webhook && queue.type !== SipdQueue.QUEUE_CALLBACK) {
+            const bridge = queue.bridge ? queue.bridge.name : null;
+            this.webhook.publish(event, {
+                queue: queue.id,
+                id: queue.maps ? queue.getMappedData('info.id') : queue.id,
+                type: queue.type,
+                info: queue.info,
+                status: queue.status,
+                bridge,
+                ...data,
+            }, {type: queue.type, bridge});
+        }
+    }
+
+    /**
+     * Publish bridge captcha and down events to webhook subscriptions once
+     * its state is changed.
+     *
+     * @param {Error} err Self test error
+     */
+    checkBridges(err = null) {
+        if (!this.webhook) {
+            return;
+        }
+        for (const bridge of this.bridges) {
+            const prev = bridge.events ?? {};
+            const operational = bridge.state === bridge.STATE_OPERATIONAL;
+            const state = {
+                captcha: bridge.hasState('captcha'),
+                down: (err || prev.operational || prev.down) && !operational ? true : false,
+                operational,
+            }
+            if (state.captcha && !prev.captcha) {
+                this.webhook.publish(SipdWebhook.EVENT_CAPTCHA, {bridge: bridge.name}, {bridge: bridge.name});
+            }
+            if (state.down && !prev.down) {
+                this.webhook.publish(SipdWebhook.EVENT_BRIDGE_DOWN, {
+                    bridge: bridge.name,
+                    error: err ? (err instanceof Error ? err.message : `${err}`) : null,
+                }, {bridge: bridge.name});
+            }
+            bridge.events = state;
+        }
+    }
+
+    /**
+     * Handle queue progress notification.
+     *
+     * @param {SipdQueue} queue Queue
+     * @param {object} progress Progress
+     */
+    handleProgress(queue, progress) {
+        queue.progress = progress;
+        if (queue.bridge) {
+            this.endStep(queue.bridge, progress);
+        }
+        const data = {queue: queue.id, id: queue.maps ? queue.getMappedData('info.id') : queue.id, ...progress};
+        for (const socket of this.sockets) {
+            socket.emit('queue-progress', data);
+        }
+        if (queue.callback && queue.data && queue.data.progress) {
+            SipdQueue.addQueue(SipdQueue.createCallbackQueue({queue: data.queue, id: data.id, progress}, queue.callback));
+        }
+        this.handleEvent(SipdWebhook.EVENT_PROGRESS, queue, progress);
+        if (this.api) {
+            this.api.notify('queue');
+        }
+    }
+
     /**
      * Get bridge ready count.
      *
@@ -626,6 +951,77 @@ class App {
         return readyCnt;
     }
 
+    /**
+     * Pause queue processing globally or only for a bridge.
+     *
+     * @param {?string} name Bridge name
+     * @returns {object}
+     */
+    pause(name = null) {
+        return this.doPause(name, true);
+    }
+
+    /**
+     * Resume queue processing globally or only for a bridge.
+     *
+     * @param {?string} name Bridge name
+     * @returns {object}
+     */
+    resume(name = null) {
+        return this.doPause(name, false);
+    }
+
+    /**
+     * Do pause or resume.
+     *
+     * @param {?string} name Bridge name
+     * @param {boolean} pause True to pause, false to resume
+     * @returns {object}
+     */
+    doPause(name, pause) {
+        if (name) {
+            const bridge = this.bridges.find(b => b.name === name);
+            if (!bridge) {
+                return {error: `Bridge ${name} is not found!`};
+            }
+            if (pause) {
+                bridge.pause();
+            } else {
+                bridge.resume();
+                process.nextTick(() => this.dequeue.processQueue());
+            }
+        } else if (pause) {
+            this.dequeue.pause();
+        } else {
+            this.dequeue.resume();
+        }
+        console.log(`Queue processing ${pause ? 'paused' : 'resumed'}: ${name ?? 'all'}`);
+        this.handleNotify();
+        return {paused: this.getPaused() ?? []};
+    }
+
+    /**
+     * Is bridge paused, either globally or by itself?
+     *
+     * @param {import('./bridge')} bridge Bridge
+     * @returns {boolean}
+     */
+    isPaused(bridge) {
+        return this.dequeue.paused || bridge.isPaused();
+    }
+
+    /**
+     * Get paused bridges.
+     *
+     * @returns {string[]|undefined}
+     */
+    getPaused() {
+        const res = this.bridges
+            .filter(bridge => this.isPaused(bridge))
+            .map(bridge => bridge.name);
+        return res.length ? res : undefined;
+    }
+
     /**
      * Get bridges which require captcha solving.
      *
@@ -649,10 +1045,14 @@ class App {
     run() {
         if (this.initialize()) {
             const serve = this.processArguments();
-            this.createDequeuer();
+            this.createDequeuer(serve);
             this.createBridges();
+            this.createMetrics();
+            this.createMailer(serve);
             this.registerCommands();
             if (serve) {
+                this.createCluster();
+                this.createScheduler();
                 this.createUI();
             }
             this.createServer(serve);
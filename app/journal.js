@@ -0,0 +1,200 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SipdLogger = require('./sipd/logger');
+
+const dtag = 'journal';
+
+/**
+ * Queue write-ahead journal.
+ *
+ * Each queue changes is appended as a single JSON line and flushed to disk,
+ * so the journal can be replayed to restore unfinished queues even when the
+ * process was not terminated gracefully. Once enough queues are ended, the
+ * journal is compacted to only contain the unfinished ones.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdJournal {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Journal filename
+     * @param {object} options Options
+     * @param {number} options.compact Number of ended queues before journal is compacted
+     */
+    constructor(filename, options = {}) {
+        this.filename = filename;
+        this.threshold = options.compact ?? 100;
+        this.ended = 0;
+    }
+
+    /**
+     * Append a journal record.
+     *
+     * @param {string} op Operation
+     * @param {object} data Record data
+     * @returns {this}
+     */
+    write(op, data) {
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        let fd;
+        try {
+            fd = fs.openSync(this.filename, 'a');
+            fs.writeSync(fd, JSON.stringify({op, time: Date.now(), ...data}) + '\n');
+            fs.fsyncSync(fd);
+        }
+        catch (err) {
+            SipdLogger.activity(dtag)('Unable to write journal %s: %s!', this.filename, err);
+        }
+        finally {
+            if (fd !== undefined) {
+                fs.closeSync(fd);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Record queue addition.
+     *
+     * @param {import('./queue')} queue Queue
+     * @returns {this}
+     */
+    add(queue) {
+        return this.write(SipdJournal.OP_ADD, {id: queue.id, queue: queue.getSaveData()});
+    }
+
+    /**
+     * Record queue status change.
+     *
+     * @param {import('./queue')} queue Queue
+     * @returns {this}
+     */
+    status(queue) {
+        return this.write(SipdJournal.OP_STATUS, {id: queue.id, status: queue.status});
+    }
+
+    /**
+     * Record queue end.
+     *
+     * @param {import('./queue')} queue Queue
+     * @returns {this}
+     */
+    end(queue) {
+        this.write(SipdJournal.OP_END, {id: queue.id, status: queue.status});
+        if (++this.ended >= this.threshold) {
+            this.compact();
+        }
+        return this;
+    }
+
+    /**
+     * Replay journal and returns unfinished queues along with its last
+     * known status.
+     *
+     * @returns {{queue: object, status: string}[]}
+     */
+    read() {
+        const queues = new Map();
+        if (fs.existsSync(this.filename)) {
+            const lines = fs.readFileSync(this.filename)
+                .toString()
+                .split('\n')
+                .filter(Boolean);
+            for (const line of lines) {
+                let rec;
+                try {
+                    rec = JSON.parse(line);
+                }
+                catch (err) {
+                    // a partially written record, most likely the last one
+                    SipdLogger.activity(dtag)('Skipping malformed journal record: %s', line.substr(0, 50));
+                    continue;
+                }
+                switch (rec.op) {
+                    case SipdJournal.OP_ADD:
+                        queues.set(rec.id, {queue: rec.queue, status: rec.status});
+                        break;
+                    case SipdJournal.OP_STATUS:
+                        if (queues.has(rec.id)) {
+                            queues.get(rec.id).status = rec.status;
+                        }
+                        break;
+                    case SipdJournal.OP_END:
+                        queues.delete(rec.id);
+                        break;
+                }
+            }
+        }
+        return [...queues.values()];
+    }
+
+    /**
+     * Rewrite journal to only contain the queues, or the unfinished queues
+     * of the journal itself if omitted.
+     *
+     * @param {import('./queue')[]} queues Queues
+     * @returns {this}
+     */
+    compact(queues = null) {
+        try {
+            const dir = path.dirname(this.filename);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, {recursive: true});
+            }
+            const time = Date.now();
+            const items = queues ? queues.map(queue => ({id: queue.id, status: queue.status, queue: queue.getSaveData()})) :
+                this.read().map(item => ({id: item.queue.id, status: item.status, queue: item.queue}));
+            const lines = items.map(item => JSON.stringify({op: SipdJournal.OP_ADD, time, ...item}) + '\n');
+            const filename = `${this.filename}.tmp`;
+            const fd = fs.openSync(filename, 'w');
+            try {
+                fs.writeSync(fd, lines.join(''));
+                fs.fsyncSync(fd);
+            }
+            finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(filename, this.filename);
+            this.ended = 0;
+        }
+        catch (err) {
+            SipdLogger.activity(dtag)('Unable to compact journal %s: %s!', this.filename, err);
+        }
+        return this;
+    }
+
+    static get OP_ADD() { return 'add' }
+    static get OP_STATUS() { return 'status' }
+    static get OP_END() { return 'end' }
+}
+
+module.exports = SipdJournal;
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SipdLogger = require('./sipd/logger');
+
+const dtag = 'mailer';
+
+/**
+ * Operator email notifier.
+ *
+ * The first message is sent right away, while the following messages within
+ * the digest interval are collected and sent as a single digest email once
+ * the interval is passed.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdMailer {
+
+    /** @type {object[]} */
+    messages = []
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {string|object} options.smtp SMTP connection url or nodemailer transport options
+     * @param {string} options.from Sender address
+     * @param {string|string[]} options.to Operator addresses
+     * @param {string} options.subject Subject prefix
+     * @param {number} options.digest Digest interval in milliseconds
+     * @param {number} options.attachments Maximum number of screenshots attached in an email
+     * @param {string} options.capturedir Screenshot directory
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.digest = options.digest ?? 15 * 60 * 1000;
+        this.attachments = options.attachments ?? 5;
+        this.subject = options.subject ?? 'SIPD Bridge';
+    }
+
+    /**
+     * Get mail transport.
+     *
+     * @returns {object}
+     */
+    getTransport() {
+        if (!this.transport) {
+            const nodemailer = require('nodemailer');
+            this.transport = nodemailer.createTransport(this.options.smtp);
+        }
+        return this.transport;
+    }
+
+    /**
+     * Add a message to be sent.
+     *
+     * @param {string} title Message title
+     * @param {string} text Message text
+     * @param {string[]} captures Screenshot filenames
+     */
+    notify(title, text, captures = []) {
+        this.messages.push({title, text, captures, time: new Date()});
+        if (!this.timer) {
+            if (!this.last || Date.now() - this.last >= this.digest) {
+                this.flush();
+            } else {
+                this.timer = setTimeout(() => this.flush(), this.digest - (Date.now() - this.last));
+            }
+        }
+    }
+
+    /**
+     * Send collected messages.
+     *
+     * @returns {Promise<any>}
+     */
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            delete this.timer;
+        }
+        const messages = this.messages.splice(0, this.messages.length);
+        if (!messages.length) {
+            return Promise.resolve();
+        }
+        this.last = Date.now();
+        const subject = messages.length === 1 ? `${this.subject}: ${messages[0].title}` :
+            `${this.subject}: ${messages.length} notifications`;
+        const text = messages
+            .map(message => [`[${message.time.toISOString()}] ${message.title}`, message.text].filter(Boolean).join('\n'))
+            .join('\n\n');
+        const attachments = messages
+            .map(message => message.captures)
+            .flat()
+            .slice(0, this.attachments)
+            .map(filename => path.join(this.options.capturedir ?? '', filename))
+            .filter(filename => fs.existsSync(filename))
+            .map(filename => ({filename: path.basename(filename), path: filename}));
+        return this.getTransport()
+            .sendMail({
+                from: this.options.from,
+                to: this.options.to,
+                subject,
+                text,
+                attachments,
+            })
+            .then(() => SipdLogger.activity(dtag)('Email sent: %s', subject))
+            .catch(err => SipdLogger.activity(dtag)('Unable to send email %s: %s!', subject, err));
+    }
+}
+
+module.exports = SipdMailer;
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Metric definition.
+ *
+ * @typedef {Object} SipdMetric
+ * @property {string} name Metric name
+ * @property {string} type Metric type, counter, gauge, or histogram
+ * @property {string} help Metric description
+ * @property {number[]} buckets Histogram buckets
+ * @property {Map<string, object>} values Values keyed by its labels
+ */
+
+/**
+ * Metrics registry which can be rendered as Prometheus text format.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdMetrics {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} prefix Metric name prefix
+     */
+    constructor(prefix = 'sipd') {
+        this.prefix = prefix;
+        /** @type {{[name: string]: SipdMetric}} */
+        this.metrics = {};
+        /** @type {Function[]} */
+        this.collectors = [];
+    }
+
+    /**
+     * Define a metric.
+     *
+     * @param {string} name Metric name
+     * @param {string} type Metric type
+     * @param {string} help Metric description
+     * @param {number[]} buckets Histogram buckets
+     * @returns {this}
+     */
+    define(name, type, help, buckets = null) {
+        this.metrics[name] = {
+            name: `${this.prefix}_${name}`,
+            type,
+            help,
+            buckets: buckets ?? SipdMetrics.BUCKETS,
+            values: new Map(),
+        };
+        return this;
+    }
+
+    /**
+     * Add a collector which is called before rendering, e.g. to update gauges.
+     *
+     * @param {Function} collector Collector
+     * @returns {this}
+     */
+    collect(collector) {
+        this.collectors.push(collector);
+        return this;
+    }
+
+    /**
+     * Get metric value for labels.
+     *
+     * @param {string} name Metric name
+     * @param {object} labels Labels
+     * @param {Function} init Value initializer
+     * @returns {object}
+     */
+    getValue(name, labels, init) {
+        const metric = this.metrics[name];
+        if (!metric) {
+            throw new Error(`Metric ${name} is not defined!`);
+        }
+        const key = JSON.stringify(labels ?? {});
+        if (!metric.values.has(key)) {
+            metric.values.set(key, {labels: labels ?? {}, ...init(metric)});
+        }
+        return metric.values.get(key);
+    }
+
+    /**
+     * Increment a counter.
+     *
+     * @param {string} name Metric name
+     * @param {object} labels Labels
+     * @param {number} value Increment value
+     * @returns {this}
+     */
+    inc(name, labels = null, value = 1) {
+        this.getValue(name, labels, () => ({value: 0})).value += value;
+        return this;
+    }
+
+    /**
+     * Set a gauge value.
+     *
+     * @param {string} name Metric name
+     * @param {object} labels Labels
+     * @param {number} value Value
+     * @returns {this}
+     */
+    set(name, labels, value) {
+        this.getValue(name, labels, () => ({value: 0})).value = value;
+        return this;
+    }
+
+    /**
+     * Reset all metric values, used for gauges which are collected.
+     *
+     * @param {string} name Metric name
+     * @returns {this}
+     */
+    reset(name) {
+        if (this.metrics[name]) {
+            this.metrics[name].values.clear();
+        }
+        return this;
+    }
+
+    /**
+     * Observe a histogram value.
+     *
+     * @param {string} name Metric name
+     * @param {object} labels Labels
+     * @param {number} value Observed value
+     * @returns {this}
+     */
+    observe(name, labels, value) {
+        const data = this.getValue(name, labels, metric => ({counts: metric.buckets.map(() => 0), sum: 0, count: 0}));
+        this.metrics[name].buckets.forEach((bucket, idx) => {
+            if (value <= bucket) {
+                data.counts[idx]++;
+            }
+        });
+        data.sum += value;
+        data.count++;
+        return this;
+    }
+
+    /**
+     * Render metrics in Prometheus text format.
+     *
+     * @returns {string}
+     */
+    render() {
+        for (const collector of this.collectors) {
+            collector(this);
+        }
+        const lines = [];
+        for (const metric of Object.values(this.metrics)) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const data of metric.values.values()) {
+                if (metric.type === 'histogram') {
+                    metric.buckets.forEach((bucket, idx) => {
+                        lines.push(`${metric.name}_bucket${this.formatLabels({...data.labels, le: bucket})} ${data.counts[idx]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${this.formatLabels({...data.labels, le: '+Inf'})} ${data.count}`);
+                    lines.push(`${metric.name}_sum${this.formatLabels(data.labels)} ${data.sum}`);
+                    lines.push(`${metric.name}_count${this.formatLabels(data.labels)} ${data.count}`);
+                } else {
+                    lines.push(`${metric.name}${this.formatLabels(data.labels)} ${data.value}`);
+                }
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format metric labels.
+     *
+     * @param {object} labels Labels
+     * @returns {string}
+     */
+    formatLabels(labels) {
+        const res = Object.entries(labels)
+            .filter(([k, v]) => v !== undefined && v !== null)
+            .map(([k, v]) => `${k}="${`${v}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+        return res.length ? `{${res.join(',')}}` : '';
+    }
+
+    static get BUCKETS() { return [1, 5, 10, 30, 60, 120, 300, 600, 1800] }
+}
+
+module.exports = SipdMetrics;
\ No newline at end of file
@@ -22,7 +22,8 @@
  * SOFTWARE.
  */
 
-const UrlFetch = require('@ntlab/urllib/fetch');
+const crypto = require('crypto');
+const { SipdNotifyError } = require('./sipd');
 
 /**
  * Callback notifier.
@@ -32,26 +33,163 @@ const UrlFetch = require('@ntlab/urllib/fetch');
 class SipdNotifier {
 
     /**
-     * Notify result.
+     * Notify result. The notification is rejected with `SipdNotifyError`
+     * along with the response status code if it is not accepted.
+     *
+     * Each notification carries timestamp and delivery id headers. If secret
+     * is provided, the timestamp and the body joined by a dot is signed using
+     * HMAC-SHA256 so the client can verify the sender and reject replays.
      *
      * @param {string} url Url
      * @param {string} token Bearer token
      * @param {object} data Data to sent
-     * @returns {Promise<any>}
+     * @param {object} options Options
+     * @param {string} options.secret Signing secret
+     * @param {string} options.delivery Delivery id
+     * @param {number} options.timeout Request timeout in milliseconds
+     * @returns {Promise<string>}
      */
-    static notify(url, token, data) {
-        const headers = {};
+    static notify(url, token, data, options = {}) {
+        const body = JSON.stringify(data);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'content-type': 'application/json',
+            [this.HEADER_TIMESTAMP]: timestamp,
+        }
+        if (options.delivery) {
+            headers[this.HEADER_DELIVERY] = options.delivery;
+        }
+        if (options.secret) {
+            headers[this.HEADER_SIGNATURE] = `sha256=${this.sign(options.secret, timestamp, body)}`;
+        }
         if (token) {
             headers.authorization = `Bearer ${token}`;
         }
-        const notifier = new UrlFetch();
-        return notifier.fetch(url, {
+        return fetch(url, {
             method: 'POST',
             headers,
-            dataType: 'application/json',
-            data: Buffer.from(JSON.stringify(data)),
-        });
+            body,
+            signal: AbortSignal.timeout(options.timeout ?? this.timeout),
+        })
+            .then(res => {
+                if (res.ok) {
+                    return res.text();
+                }
+                throw new SipdNotifyError(`Callback ${url} responded with ${res.status} ${res.statusText}!`, res.status);
+            });
+    }
+
+    /**
+     * Sign notification body.
+     *
+     * @param {string} secret Secret
+     * @param {string} timestamp Timestamp in seconds
+     * @param {string} body Body
+     * @returns {string}
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    /**
+     * Register signing secret for a callback.
+     *
+     * @param {string} callback Callback, url with optional token
+     * @param {string} secret Secret
+     */
+    static setSecret(callback, secret) {
+        if (!this._callbacks) {
+            this._callbacks = {};
+        }
+        this._callbacks[callback] = secret;
+    }
+
+    /**
+     * Unregister signing secret of a callback.
+     *
+     * @param {string} callback Callback, url with optional token
+     */
+    static removeSecret(callback) {
+        if (this._callbacks) {
+            delete this._callbacks[callback];
+        }
+    }
+
+    /**
+     * Get signing secret for a callback, either registered for the callback
+     * or configured for the client token or url.
+     *
+     * @param {string} callback Callback, url with optional token
+     * @param {string} url Url
+     * @param {string} token Token
+     * @returns {string|undefined}
+     */
+    static getSecret(callback, url, token) {
+        if (this._callbacks && this._callbacks[callback]) {
+            return this._callbacks[callback];
+        }
+        if (this.secrets) {
+            return (token ? this.secrets[token] : undefined) ?? this.secrets[url];
+        }
+    }
+
+    /**
+     * Is notification error can be retried? A client error is permanent
+     * except for request timeout and too many requests.
+     *
+     * @param {Error} err Error
+     * @returns {boolean}
+     */
+    static isRetryable(err) {
+        if (err instanceof SipdNotifyError && err.status) {
+            return err.status >= 500 || [408, 429].includes(err.status);
+        }
+        // network error
+        return true;
+    }
+
+    /**
+     * Get configured secrets keyed by client token or callback url.
+     *
+     * @returns {{[key: string]: string}}
+     */
+    static get secrets() {
+        return this._secrets;
+    }
+
+    /**
+     * Set configured secrets keyed by client token or callback url.
+     *
+     * @param {{[key: string]: string}} secrets Secrets
+     */
+    static set secrets(secrets) {
+        this._secrets = secrets;
+    }
+
+    /**
+     * Get request timeout in milliseconds.
+     *
+     * @returns {number}
+     */
+    static get timeout() {
+        return this._timeout ?? this.DEFAULT_TIMEOUT;
     }
+
+    /**
+     * Set request timeout in milliseconds.
+     *
+     * @param {number} timeout Timeout
+     */
+    static set timeout(timeout) {
+        this._timeout = timeout;
+    }
+
+    static get DEFAULT_TIMEOUT() { return 30000 }
+    static get HEADER_SIGNATURE() { return 'x-sipd-signature' }
+    static get HEADER_TIMESTAMP() { return 'x-sipd-timestamp' }
+    static get HEADER_DELIVERY() { return 'x-sipd-delivery' }
 }
 
 module.exports = SipdNotifier;
\ No newline at end of file
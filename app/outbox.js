@@ -0,0 +1,381 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SipdLogger = require('./sipd/logger');
+const SipdNotifier = require('./notifier');
+
+const dtag = 'outbox';
+
+/**
+ * Callback outbox.
+ *
+ * Keeps callback notifications until it is successfully delivered. A failed
+ * delivery is retried with exponential backoff until it is too old or the
+ * client refuses it, then it is kept as failed so it can be redelivered.
+ *
+ * The store is an append only log, the payload is written once when the item
+ * is added, and only the delivery state is appended afterwards. Once enough
+ * items are delivered, the log is compacted to only contain the remaining
+ * items.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdOutbox {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Store filename
+     * @param {object} options Options
+     * @param {number} options.delay First retry delay in milliseconds
+     * @param {number} options.multiplier Retry delay multiplier
+     * @param {number} options.maxDelay Maximum retry delay in milliseconds
+     * @param {number} options.maxAge Maximum delivery age in milliseconds
+     * @param {number} options.compact Number of delivered items before store is compacted
+     */
+    constructor(filename, options = {}) {
+        this.filename = filename;
+        this.delay = options.delay ?? 10 * 1000;
+        this.multiplier = options.multiplier ?? 2;
+        this.maxDelay = options.maxDelay ?? 60 * 60 * 1000;
+        this.maxAge = options.maxAge ?? 3 * 24 * 60 * 60 * 1000;
+        this.threshold = options.compact ?? 100;
+        this.ended = 0;
+        /** @type {object[]} */
+        this.items = [];
+        this.load();
+    }
+
+    /**
+     * Load items by replaying the store.
+     *
+     * @returns {this}
+     */
+    load() {
+        const items = new Map();
+        if (fs.existsSync(this.filename)) {
+            const lines = fs.readFileSync(this.filename)
+                .toString()
+                .split('\n')
+                .filter(Boolean);
+            for (const line of lines) {
+                let rec;
+                try {
+                    rec = JSON.parse(line);
+                }
+                catch (err) {
+                    // a partially written record, most likely the last one
+                    SipdLogger.activity(dtag)('Skipping malformed outbox record: %s', line.substr(0, 50));
+                    continue;
+                }
+                switch (rec.op) {
+                    case SipdOutbox.OP_ADD:
+                        items.set(rec.id, rec.item);
+                        break;
+                    case SipdOutbox.OP_STATE:
+                        if (items.has(rec.id)) {
+                            const item = items.get(rec.id);
+                            for (const key of SipdOutbox.STATES) {
+                                if (rec.state[key] === undefined) {
+                                    delete item[key];
+                                } else {
+                                    item[key] = rec.state[key];
+                                }
+                            }
+                        }
+                        break;
+                    case SipdOutbox.OP_END:
+                        items.delete(rec.id);
+                        break;
+                }
+            }
+        }
+        this.items = [...items.values()];
+        return this;
+    }
+
+    /**
+     * Append a store record.
+     *
+     * @param {string} op Operation
+     * @param {object} data Record data
+     * @returns {this}
+     */
+    write(op, data) {
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        let fd;
+        try {
+            fd = fs.openSync(this.filename, 'a');
+            fs.writeSync(fd, JSON.stringify({op, ...data}) + '\n');
+            fs.fsyncSync(fd);
+        }
+        catch (err) {
+            SipdLogger.activity(dtag)('Unable to write outbox %s: %s!', this.filename, err);
+        }
+        finally {
+            if (fd !== undefined) {
+                fs.closeSync(fd);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Get item data to store, the callback queue id is only valid while
+     * the process is running.
+     *
+     * @param {object} item Item
+     * @returns {object}
+     */
+    getSaveData(item) {
+        const { queue, ...data } = item;
+        return data;
+    }
+
+    /**
+     * Record item addition along with its payload.
+     *
+     * @param {object} item Item
+     * @returns {this}
+     */
+    writeAdd(item) {
+        return this.write(SipdOutbox.OP_ADD, {id: item.id, item: this.getSaveData(item)});
+    }
+
+    /**
+     * Record item delivery state.
+     *
+     * @param {object} item Item
+     * @returns {this}
+     */
+    writeState(item) {
+        const state = {};
+        for (const key of SipdOutbox.STATES) {
+            if (item[key] !== undefined) {
+                state[key] = item[key];
+            }
+        }
+        return this.write(SipdOutbox.OP_STATE, {id: item.id, state});
+    }
+
+    /**
+     * Record item delivered.
+     *
+     * @param {object} item Item
+     * @returns {this}
+     */
+    writeEnd(item) {
+        this.write(SipdOutbox.OP_END, {id: item.id});
+        if (++this.ended >= this.threshold) {
+            this.compact();
+        }
+        return this;
+    }
+
+    /**
+     * Rewrite store to only contain the remaining items.
+     *
+     * @returns {this}
+     */
+    compact() {
+        try {
+            const dir = path.dirname(this.filename);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, {recursive: true});
+            }
+            const lines = this.items.map(item => JSON.stringify({op: SipdOutbox.OP_ADD, id: item.id, item: this.getSaveData(item)}) + '\n');
+            const filename = `${this.filename}.tmp`;
+            const fd = fs.openSync(filename, 'w');
+            try {
+                fs.writeSync(fd, lines.join(''));
+                fs.fsyncSync(fd);
+            }
+            finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(filename, this.filename);
+            this.ended = 0;
+        }
+        catch (err) {
+            SipdLogger.activity(dtag)('Unable to compact outbox %s: %s!', this.filename, err);
+        }
+        return this;
+    }
+
+    /**
+     * Start delivering pending items using deliver function which queues
+     * the callback and returns the queue id.
+     *
+     * @param {Function} deliver Deliver function
+     * @returns {this}
+     */
+    start(deliver) {
+        this.deliver = deliver;
+        for (const item of this.items.filter(item => item.status === SipdOutbox.STATUS_PENDING)) {
+            // the callback queue was lost on restart
+            delete item.queue;
+        }
+        this.schedule();
+        return this;
+    }
+
+    /**
+     * Store a callback queue.
+     *
+     * @param {import('./queue')} queue Callback queue
+     * @returns {string} Outbox item id
+     */
+    add(queue) {
+        const item = {
+            id: queue.id,
+            queue: queue.id,
+            callback: queue.callback,
+            data: queue.data,
+            status: SipdOutbox.STATUS_PENDING,
+            attempts: 0,
+            time: new Date().toISOString(),
+        }
+        if (queue.signed) {
+            item.signed = true;
+        }
+        this.items.push(item);
+        this.writeAdd(item);
+        return queue.id;
+    }
+
+    /**
+     * Get stored item.
+     *
+     * @param {string} id Item id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * Update item after its callback queue is finished.
+     *
+     * @param {import('./queue')} queue Callback queue
+     * @param {boolean} success Is callback delivered
+     */
+    update(queue, success) {
+        const item = this.get(queue.outbox);
+        if (item && item.queue === queue.id) {
+            delete item.queue;
+            item.attempts++;
+            if (success) {
+                this.items.splice(this.items.indexOf(item), 1);
+                this.writeEnd(item);
+            } else {
+                const err = queue.result ?? queue.status;
+                const age = Date.now() - new Date(item.time).getTime();
+                const delay = Math.min(this.delay * Math.pow(this.multiplier, item.attempts - 1), this.maxDelay);
+                item.error = err instanceof Error ? err.message : `${err}`;
+                if (err && err.status) {
+                    item.code = err.status;
+                }
+                if (!SipdNotifier.isRetryable(err) || age + delay > this.maxAge) {
+                    item.status = SipdOutbox.STATUS_FAILED;
+                    delete item.next;
+                    SipdLogger.activity(dtag)('Callback %s is failed after %d attempt(s): %s', item.id, item.attempts, item.error);
+                } else {
+                    item.next = new Date(Date.now() + delay).toISOString();
+                }
+                this.writeState(item);
+            }
+            this.schedule();
+        }
+    }
+
+    /**
+     * Redeliver failed items.
+     *
+     * @param {string} id Item id, redeliver all failed items if omitted
+     * @returns {object[]}
+     */
+    redeliver(id = null) {
+        const items = this.items.filter(item => item.status === SipdOutbox.STATUS_FAILED && (!id || item.id === id));
+        for (const item of items) {
+            item.status = SipdOutbox.STATUS_PENDING;
+            item.attempts = 0;
+            item.time = new Date().toISOString();
+            delete item.next;
+            this.writeState(item);
+        }
+        if (items.length) {
+            this.schedule();
+        }
+        return items.map(item => ({id: item.id, status: item.status}));
+    }
+
+    /**
+     * Get failed items.
+     *
+     * @returns {object[]}
+     */
+    getFailed() {
+        return this.items.filter(item => item.status === SipdOutbox.STATUS_FAILED);
+    }
+
+    /**
+     * Deliver due items and wait for the nearest pending item.
+     */
+    schedule() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            delete this.timer;
+        }
+        if (typeof this.deliver !== 'function') {
+            return;
+        }
+        const now = Date.now();
+        let next;
+        for (const item of this.items.filter(item => item.status === SipdOutbox.STATUS_PENDING && !item.queue)) {
+            const time = item.next ? new Date(item.next).getTime() : now;
+            if (time <= now) {
+                item.queue = this.deliver(item);
+            } else if (next === undefined || time < next) {
+                next = time;
+            }
+        }
+        if (next !== undefined) {
+            this.timer = setTimeout(() => this.schedule(), next - now);
+        }
+    }
+
+    static get STATUS_PENDING() { return 'pending' }
+    static get STATUS_FAILED() { return 'failed' }
+    static get STATES() { return ['status', 'attempts', 'time', 'next', 'error', 'code'] }
+    static get OP_ADD() { return 'add' }
+    static get OP_STATE() { return 'state' }
+    static get OP_END() { return 'end' }
+}
+
+module.exports = SipdOutbox;
\ No newline at end of file
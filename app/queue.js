@@ -27,9 +27,10 @@ const path = require('path');
 const util = require('util');
 const EventEmitter = require('events');
 const SipdNotifier = require('./notifier');
+const SipdBatch = require('./batch');
 const SipdLogger = require('./sipd/logger');
 const SipdUtil = require('./sipd/util');
-const { SipdRetryError, SipdCleanAndRetryError } = require('./sipd');
+const { SipdDeferError, SipdRetryError, SipdCleanAndRetryError, SipdNotifyError } = require('./sipd');
 const { glob } = require('glob');
 
 const dtag = 'queue';
@@ -46,6 +47,17 @@ let dequeue;
  * @returns {[object, SipdQueue]|object}
  */
 
+/**
+ * Queue retry policy.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {number} attempts Maximum number of retry
+ * @property {number} delay Initial delay before retrying in milliseconds
+ * @property {number} multiplier Delay multiplier for each subsequent retry
+ * @property {number} jitter Random delay variation, a fraction of the delay, e.g. 0.2
+ * @property {string[]} errors Retryable error class names or `/regex/` matched against error message
+ */
+
 /**
  * A queue consumer.
  *
@@ -69,8 +81,173 @@ class SipdDequeue extends EventEmitter {
         this.completes = [];
         this.timeout = 10 * 60 * 1000;
         this.retry = 3;
+        this.aging = 5 * 60 * 1000;
+        this.policy = {};
+        this.retention = {count: 1000, age: 0};
+        this.ttl = {};
         /** @type {CreateQueue} */
         this.createQueue;
+        /** @type {import('./journal')} */
+        this.journal;
+        /** @type {import('./deadletter')} */
+        this.deadletter;
+        /** @type {import('./archive')} */
+        this.archive;
+        /** @type {import('./idempotency')} */
+        this.idempotency;
+        /** @type {import('./cluster')} */
+        this.cluster;
+        /** @type {import('./outbox')} */
+        this.outbox;
+        /** @type {SipdBatch[]} */
+        this.batches = [];
+        this.paused = false;
+    }
+
+    /**
+     * Apply dequeue options.
+     *
+     * @param {object} options Options
+     * @param {number} options.timeout Default processing timeout in milliseconds
+     * @param {number} options.retry Default number of retry
+     * @param {number} options.aging Priority aging interval in milliseconds, zero to disable
+     * @param {{[type: string]: RetryPolicy}} options.policy Retry policy for each queue type or `default`
+     * @param {{count: number, age: number}} options.retention Maximum number and age in milliseconds of completed queues kept in memory
+     * @param {{[type: string]: number}} options.ttl Unprocessed queue time to live in milliseconds for each queue type
+     * @returns {this}
+     */
+    configure(options) {
+        for (const key of ['timeout', 'retry', 'aging', 'policy', 'ttl']) {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        }
+        if (options.retention) {
+            Object.assign(this.retention, options.retention);
+        }
+        return this;
+    }
+
+    /**
+     * Set queue journal.
+     *
+     * @param {import('./journal')} journal Journal
+     * @returns {this}
+     */
+    setJournal(journal) {
+        this.journal = journal;
+        return this;
+    }
+
+    /**
+     * Set failed queue store.
+     *
+     * @param {import('./deadletter')} deadletter Dead letter store
+     * @returns {this}
+     */
+    setDeadLetter(deadletter) {
+        this.deadletter = deadletter;
+        return this;
+    }
+
+    /**
+     * Set completed queue archive.
+     *
+     * @param {import('./archive')} archive Archive
+     * @returns {this}
+     */
+    setArchive(archive) {
+        this.archive = archive;
+        return this;
+    }
+
+    /**
+     * Set queue idempotency index.
+     *
+     * @param {import('./idempotency')} idempotency Idempotency index
+     * @returns {this}
+     */
+    setIdempotency(idempotency) {
+        this.idempotency = idempotency;
+        return this;
+    }
+
+    /**
+     * Set callback outbox.
+     *
+     * @param {import('./outbox')} outbox Outbox
+     * @returns {this}
+     */
+    setOutbox(outbox) {
+        this.outbox = outbox;
+        return this;
+    }
+
+    /**
+     * Set shared queue store.
+     *
+     * @param {import('./cluster')} cluster Cluster
+     * @returns {this}
+     */
+    setCluster(cluster) {
+        this.cluster = cluster;
+        return this;
+    }
+
+    /**
+     * Get queue idempotency key, only a unique and non readonly queue
+     * with reference is considered. The operation, e.g. NPD or TBP of
+     * LPJ, is part of the key as each operation is a separate submission.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {string|undefined}
+     */
+    getIdempotencyKey(queue) {
+        if (this.idempotency && queue.maps && queue.isFlagged('u') && !queue.isFlagged('-')) {
+            const ref = queue.getMappedData('info.id');
+            if (ref) {
+                const op = queue.getMappedData('info.operasi');
+                if (op) {
+                    return `${queue.type}:${ref}:${op.toString().toLowerCase().replace(/\s/g, '')}`;
+                }
+                return `${queue.type}:${ref}`;
+            }
+        }
+    }
+
+    /**
+     * Get previous submission of the same queue. It returns the previous
+     * result if it was successfully done or the queue id if still pending.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {object|undefined}
+     */
+    getIdempotent(queue) {
+        const key = this.getIdempotencyKey(queue);
+        if (key) {
+            const entry = this.idempotency.get(key);
+            // a restored queue has the same id
+            if (entry && entry.id !== queue.id) {
+                if (entry.status === SipdQueue.STATUS_DONE) {
+                    return {status: entry.status, id: entry.id, result: entry.result};
+                }
+                const pending = [...this.processing, ...this.queues].find(q => q.id === entry.id);
+                if (pending) {
+                    return {status: pending.status, id: pending.id};
+                }
+            }
+        }
+    }
+
+    /**
+     * Is queue changes recorded in journal?
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {boolean}
+     */
+    isJournaled(queue) {
+        // published queue is kept in cluster store instead
+        return this.journal && queue.isFlagged('e') && !queue.shared ? true : false;
     }
 
     /**
@@ -91,6 +268,12 @@ class SipdDequeue extends EventEmitter {
                 .on('queue-error', queue => {
                     this.endQueue(queue);
                     this.emit('queue-error', queue);
+                })
+                .on('queue-retry', queue => {
+                    this.emit('queue-retry', queue);
+                })
+                .on('queue-defer', (queue, delay) => {
+                    this.deferQueue(queue, delay);
                 });
         }
         this.processQueue();
@@ -157,9 +340,21 @@ class SipdDequeue extends EventEmitter {
      * Process queue by handing queue to consumer.
      */
     processQueue() {
+        this.checkExpired();
         if (this.consumers) {
             if (this.queues.length) {
-                for (const queue of this.queues) {
+                for (const queue of this.getQueues()) {
+                    // queue is being published or claimed
+                    if (queue.claiming) {
+                        continue;
+                    }
+                    // callback is still delivered while paused
+                    if (this.paused && queue.type !== SipdQueue.QUEUE_CALLBACK) {
+                        continue;
+                    }
+                    if (!this.isReady(queue)) {
+                        continue;
+                    }
                     // query idle consumer
                     const consumers = this.consumers
                         .sort((a, b) => a.priority - b.priority)
@@ -168,13 +363,17 @@ class SipdDequeue extends EventEmitter {
                         const pickedConsumers = consumers
                             .filter(consumer => consumer.priority === consumers[0].priority);
                         if (pickedConsumers.length) {
+                            if (!this.claimQueue(queue)) {
+                                continue;
+                            }
                             const idx = pickedConsumers.length > 1 ? Math.floor(Math.random() * pickedConsumers.length) : 0;
                             const consumer = pickedConsumers[idx];
                             // move queue to processing
                             this.queues.splice(this.queues.indexOf(queue), 1);
                             this.processing.push(queue);
                             // hand the queue to consumer
-                            queue.maxretry = this.retry;
+                            queue.retryPolicy = this.getRetryPolicy(queue);
+                            queue.maxretry = queue.retryPolicy.attempts;
                             consumer.consume(queue);
                             // start over
                             break;
@@ -185,6 +384,374 @@ class SipdDequeue extends EventEmitter {
             this.checkTimedout();
             this.checkOrphaned();
         }
+        this.scheduleQueue();
+    }
+
+    /**
+     * Pause queue processing, the processing queues are left to finish.
+     *
+     * @returns {this}
+     */
+    pause() {
+        this.paused = true;
+        return this;
+    }
+
+    /**
+     * Resume queue processing.
+     *
+     * @returns {this}
+     */
+    resume() {
+        this.paused = false;
+        process.nextTick(() => this.processQueue());
+        return this;
+    }
+
+    /**
+     * Check if queue is ready to be processed.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {boolean}
+     */
+    isReady(queue) {
+        if (!queue.isDue()) {
+            queue.setStatus(SipdQueue.STATUS_SCHEDULED);
+            return false;
+        }
+        const [ready, reason] = this.checkDependencies(queue);
+        if (reason) {
+            this.abortQueue(queue, SipdQueue.STATUS_SKIPPED, reason);
+            return false;
+        }
+        if (!ready) {
+            queue.setStatus(SipdQueue.STATUS_WAITING);
+            return false;
+        }
+        if ([SipdQueue.STATUS_SCHEDULED, SipdQueue.STATUS_WAITING].includes(queue.status)) {
+            queue.setStatus(SipdQueue.STATUS_NEW);
+        }
+        return true;
+    }
+
+    /**
+     * Check queue dependencies. A dependency is referenced either by its
+     * queue id or its mapped `info.id`.
+     *
+     * Returns a pair of ready state and a failure reason if one of the
+     * dependency was not successfully finished.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {[boolean, string|undefined]}
+     */
+    checkDependencies(queue) {
+        for (const ref of queue.getDependencies()) {
+            const queues = [...this.completes, ...this.processing, ...this.queues]
+                .filter(q => q !== queue && (q.id === ref || (q.maps && q.getMappedData('info.id') == ref)));
+            if (queues.some(q => q.status === SipdQueue.STATUS_DONE)) {
+                continue;
+            }
+            // lookup for dependency which is already archived
+            if (!queues.length && this.archive) {
+                const status = this.archive.getStatus(ref);
+                if (status === SipdQueue.STATUS_DONE) {
+                    continue;
+                }
+                if (status) {
+                    return [false, `Dependency ${ref} was not successful (${status})!`];
+                }
+            }
+            // not submitted yet or still in progress
+            if (!queues.length || queues.some(q => !q.finished())) {
+                return [false];
+            }
+            const failed = queues[queues.length - 1];
+            return [false, `Dependency ${ref} was not successful (${failed.status})!`];
+        }
+        return [true];
+    }
+
+    /**
+     * End an unprocessed queue without processing it and notify the
+     * client using queue callback.
+     *
+     * @param {SipdQueue} queue Queue
+     * @param {string} status End status
+     * @param {string} reason The reason
+     */
+    abortQueue(queue, status, reason) {
+        if (!this.claimQueue(queue, () => this.abortQueue(queue, status, reason))) {
+            return;
+        }
+        if (this.queues.includes(queue)) {
+            this.queues.splice(this.queues.indexOf(queue), 1);
+        }
+        queue.setStatus(status);
+        queue.setResult(reason);
+        this.endQueue(queue);
+        this.notifyError(queue, reason);
+        this.emit('queue-error', queue);
+    }
+
+    /**
+     * Publish queue to cluster so it can be processed by any node. While
+     * being published, the queue is not processed.
+     *
+     * @param {SipdQueue} queue Queue
+     */
+    publishQueue(queue) {
+        if (this.cluster.isShared(queue) && this.queues.includes(queue)) {
+            queue.claiming = true;
+            this.cluster.publish(queue)
+                .then(() => {
+                    // hand over from journal to cluster store
+                    if (this.isJournaled(queue)) {
+                        this.journal.end(queue);
+                        delete queue.onstatus;
+                    }
+                    queue.shared = true;
+                })
+                .catch(err => {
+                    // queue stays in journal and is processed locally
+                    SipdLogger.activity(dtag)('Unable to publish queue %s: %s!', queue.id, err);
+                })
+                .finally(() => {
+                    delete queue.claiming;
+                    this.processQueue();
+                });
+        }
+    }
+
+    /**
+     * Claim shared queue before it is processed. Returns true if queue can be
+     * processed right away, otherwise the claiming is started and callback
+     * is called once the queue is claimed. The queue is dropped if it was
+     * claimed by other node.
+     *
+     * @param {SipdQueue} queue Queue
+     * @param {Function} callback Claimed callback
+     * @returns {boolean}
+     */
+    claimQueue(queue, callback = null) {
+        if (queue.claiming) {
+            return false;
+        }
+        if (!queue.shared || queue.claimed) {
+            return true;
+        }
+        queue.claiming = true;
+        this.cluster.claim(queue)
+            .then(claimed => {
+                delete queue.claiming;
+                if (claimed) {
+                    queue.claimed = true;
+                    if (typeof callback === 'function') {
+                        callback();
+                    }
+                } else {
+                    this.dropQueue(queue);
+                }
+            })
+            .catch(err => {
+                delete queue.claiming;
+                SipdLogger.activity(dtag)('Unable to claim queue %s: %s!', queue.id, err);
+            })
+            .finally(() => this.processQueue());
+        return false;
+    }
+
+    /**
+     * Remove shared queue claimed by other node without ending it.
+     *
+     * @param {SipdQueue} queue Queue
+     */
+    dropQueue(queue) {
+        if (this.queues.includes(queue)) {
+            this.queues.splice(this.queues.indexOf(queue), 1);
+            SipdLogger.activity(dtag)('Queue %s is claimed by other node', queue.id);
+        }
+    }
+
+    /**
+     * Put back shared queue which was dropped, as the node which claimed it
+     * was gone.
+     *
+     * @param {SipdQueue} queue Queue
+     */
+    restoreQueue(queue) {
+        if (!this.queues.includes(queue) && !this.processing.includes(queue)) {
+            this.queues.push(queue);
+            SipdLogger.activity(dtag)('Queue %s is restored', queue.id);
+            process.nextTick(() => this.processQueue());
+        }
+    }
+
+    /**
+     * End queue which was processed by other node using its shared status.
+     *
+     * @param {SipdQueue} queue Queue
+     * @param {object} log Queue status
+     */
+    settleQueue(queue, log) {
+        if (this.queues.includes(queue)) {
+            this.queues.splice(this.queues.indexOf(queue), 1);
+        }
+        queue.settled = true;
+        queue.setStatus(log.status);
+        queue.setResult(log.result);
+        this.endQueue(queue);
+    }
+
+    /**
+     * Cancel a queue. An unprocessed queue is simply removed while a
+     * processing queue is aborted and its bridge is ended.
+     *
+     * @param {string} id Queue id
+     * @returns {SipdQueue|undefined}
+     */
+    cancel(id) {
+        const reason = 'Queue is cancelled!';
+        let queue = this.queues.find(q => q.id === id);
+        if (queue) {
+            this.abortQueue(queue, SipdQueue.STATUS_CANCELLED, reason);
+            return queue;
+        }
+        queue = this.processing.find(q => q.id === id);
+        if (queue && [SipdQueue.STATUS_PROCESSING, SipdQueue.STATUS_RETRYING].includes(queue.status)) {
+            queue.setStatus(SipdQueue.STATUS_CANCELLED);
+            queue.setResult(reason);
+            const f = () => {
+                this.endQueue(queue);
+                this.notifyError(queue, reason);
+                this.emit('queue-error', queue);
+            }
+            if (typeof queue.oncancel === 'function') {
+                queue.oncancel()
+                    .then(() => f())
+                    .catch(() => f());
+            } else {
+                f();
+            }
+            return queue;
+        }
+    }
+
+    /**
+     * Notify queue error to the client using queue callback.
+     *
+     * @param {SipdQueue} queue Queue
+     * @param {string} error Error message
+     */
+    notifyError(queue, error) {
+        if (queue.callback) {
+            SipdQueue.addQueue(SipdQueue.createCallbackQueue({
+                queue: queue.id,
+                id: queue.maps ? queue.getMappedData('info.id') : queue.id,
+                error,
+            }, queue.callback));
+        }
+    }
+
+    /**
+     * Get queue expiration time.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {Date|undefined}
+     */
+    getExpiresAt(queue) {
+        return queue.getExpiresAt(this.ttl[queue.type]);
+    }
+
+    /**
+     * Check unprocessed queues for expiration.
+     */
+    checkExpired() {
+        const now = Date.now();
+        for (const queue of [...this.queues]) {
+            const expiresAt = this.getExpiresAt(queue);
+            if (expiresAt && expiresAt.getTime() <= now) {
+                this.abortQueue(queue, SipdQueue.STATUS_EXPIRED, `Queue is expired since ${expiresAt.toISOString()}!`);
+            }
+        }
+    }
+
+    /**
+     * Wake up queue processing when the nearest scheduled queue is due or
+     * the nearest unprocessed queue is expired.
+     */
+    scheduleQueue() {
+        const times = [
+            ...this.queues
+                .filter(queue => !queue.isDue())
+                .map(queue => queue.getRunAt().getTime()),
+            ...this.queues
+                .map(queue => this.getExpiresAt(queue))
+                .filter(Boolean)
+                .map(expiresAt => expiresAt.getTime()),
+        ];
+        const time = times.length ? Math.min(...times) : null;
+        if (this.scheduled && this.scheduled.time !== time) {
+            clearTimeout(this.scheduled.timer);
+            delete this.scheduled;
+        }
+        if (time && !this.scheduled) {
+            // setTimeout only accepts 32-bit signed integer delay
+            const delay = Math.min(Math.max(time - Date.now(), 0) + 10, 0x7fffffff);
+            this.scheduled = {
+                time,
+                timer: setTimeout(() => {
+                    delete this.scheduled;
+                    this.processQueue();
+                }, delay),
+            }
+        }
+    }
+
+    /**
+     * Get unprocessed queues ordered by its priority.
+     *
+     * @returns {SipdQueue[]}
+     */
+    getQueues() {
+        return [...this.queues]
+            .sort((a, b) => this.getPriority(a) - this.getPriority(b));
+    }
+
+    /**
+     * Get queue effective priority. A waiting queue is promoted one lane
+     * each time aging interval is passed, but never above high lane so
+     * urgent queue always comes first.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {number}
+     */
+    getPriority(queue) {
+        const priority = queue.getPriority();
+        if (this.aging > 0 && queue.queued) {
+            // a scheduled queue is considered waiting once it is due
+            const since = Math.max(queue.queued.getTime(), queue.getRunAt()?.getTime() ?? 0);
+            const lanes = Math.floor((Date.now() - since) / this.aging);
+            if (lanes > 0) {
+                return Math.max(priority - (lanes * SipdQueue.PRIORITY_LANE), Math.min(priority, SipdQueue.PRIORITY_HIGH));
+            }
+        }
+        return priority;
+    }
+
+    /**
+     * Get retry policy for queue.
+     *
+     * @param {SipdQueue} queue Queue
+     * @returns {RetryPolicy}
+     */
+    getRetryPolicy(queue) {
+        return Object.assign({
+            attempts: this.retry,
+            delay: 0,
+            multiplier: 1,
+            jitter: 0,
+            errors: [SipdRetryError.name],
+        }, this.policy.default, this.policy[queue.type]);
     }
 
     /**
@@ -230,6 +797,31 @@ class SipdDequeue extends EventEmitter {
         }
     }
 
+    /**
+     * Put processing queue back to be processed later.
+     *
+     * @param {SipdQueue} queue Queue
+     * @param {number} delay Delay in milliseconds
+     */
+    deferQueue(queue, delay) {
+        if (this.processing.includes(queue)) {
+            this.processing.splice(this.processing.indexOf(queue), 1);
+        }
+        if (typeof queue.ondefer === 'function') {
+            queue.ondefer();
+        }
+        if (queue.consumer) {
+            delete queue.consumer.queue;
+            delete queue.consumer;
+        }
+        // keep client runAt intact
+        queue.deferAt = new Date(Date.now() + delay);
+        queue.setStatus(SipdQueue.STATUS_SCHEDULED);
+        this.queues.push(queue);
+        this.emit('queue-defer', queue);
+        process.nextTick(() => this.processQueue());
+    }
+
     /**
      * End queue processing.
      *
@@ -239,7 +831,35 @@ class SipdDequeue extends EventEmitter {
         if (this.processing.includes(queue)) {
             this.processing.splice(this.processing.indexOf(queue), 1);
         }
-        this.completes.push(queue);
+        if (!this.completes.includes(queue)) {
+            this.completes.push(queue);
+            if (this.isJournaled(queue)) {
+                this.journal.end(queue);
+            }
+            if (queue.claimed) {
+                this.cluster.finish(queue)
+                    .catch(err => SipdLogger.activity(dtag)('Unable to finish shared queue %s: %s!', queue.id, err));
+            }
+            if (this.outbox && queue.outbox) {
+                this.outbox.update(queue, queue.status === SipdQueue.STATUS_DONE);
+            }
+            // failed queue is only kept by the node which processed it
+            if (this.deadletter && !queue.settled && queue.status === SipdQueue.STATUS_ERROR && queue.isFlagged('r')) {
+                this.deadletter.add(queue);
+            }
+            const key = this.getIdempotencyKey(queue);
+            if (key) {
+                // only successful queue is remembered, allow resubmission otherwise
+                if (queue.status === SipdQueue.STATUS_DONE) {
+                    this.idempotency.set(key, queue.id, queue.status, queue.result);
+                } else {
+                    this.idempotency.remove(key);
+                }
+            }
+            this.applyRetention();
+            this.updateBatches(queue);
+            this.emit('queue-end', queue);
+        }
         this.setLastQueue(queue);
         if (queue.consumer) {
             delete queue.consumer.queue;
@@ -250,6 +870,97 @@ class SipdDequeue extends EventEmitter {
         }
     }
 
+    /**
+     * Remove completed queues which exceed retention from memory and move
+     * the exportable ones to archive.
+     */
+    applyRetention() {
+        const { count, age } = this.retention;
+        const time = Date.now() - age;
+        const queues = this.completes.filter((queue, idx) =>
+            (count > 0 && idx < this.completes.length - count) ||
+            (age > 0 && queue.time && queue.time.getTime() < time));
+        if (queues.length) {
+            this.completes = this.completes.filter(queue => !queues.includes(queue));
+            if (this.archive) {
+                try {
+                    this.archive.add(queues
+                        .filter(queue => queue.isFlagged('e'))
+                        .map(queue => ({
+                            log: queue.getLog(true),
+                            bridge: queue.bridge ? queue.bridge.name : null,
+                            ref: queue.maps ? queue.getMappedData('info.id') : null,
+                            success: queue.status === SipdQueue.STATUS_DONE,
+                        }))
+                    );
+                }
+                catch (err) {
+                    SipdLogger.activity(dtag)('Unable to archive queues: %s!', err);
+                }
+            }
+        }
+    }
+
+    /**
+     * Create a batch.
+     *
+     * @param {string} type Queue type
+     * @param {string} callback Callback
+     * @returns {SipdBatch}
+     */
+    createBatch(type, callback = null) {
+        const batch = new SipdBatch(type, callback);
+        this.batches.push(batch);
+        // only keep recent finished batches
+        const finished = this.batches.filter(b => b.finished());
+        if (finished.length > SipdDequeue.MAX_BATCHES) {
+            const removed = finished.slice(0, finished.length - SipdDequeue.MAX_BATCHES);
+            this.batches = this.batches.filter(b => !removed.includes(b));
+        }
+        return batch;
+    }
+
+    /**
+     * Get batch.
+     *
+     * @param {string} id Batch id
+     * @returns {SipdBatch|undefined}
+     */
+    getBatch(id) {
+        return this.batches.find(batch => batch.id === id);
+    }
+
+    /**
+     * Notify batch completion using batch callback.
+     *
+     * @param {SipdBatch} batch Batch
+     */
+    endBatch(batch) {
+        if (batch.finished() && !batch.notified) {
+            batch.notified = true;
+            if (batch.callback) {
+                SipdQueue.addQueue(SipdQueue.createCallbackQueue(batch.getStatus(), batch.callback));
+            }
+            this.emit('batch-done', batch);
+        }
+    }
+
+    /**
+     * Update batches which contain the finished queue.
+     *
+     * @param {SipdQueue} queue Queue
+     */
+    updateBatches(queue) {
+        if (queue.type !== SipdQueue.QUEUE_CALLBACK) {
+            const error = queue.result instanceof Error ? queue.result.message : `${queue.result ?? queue.status}`;
+            for (const batch of this.batches) {
+                if (batch.update(queue.id, queue.status === SipdQueue.STATUS_DONE, error)) {
+                    this.endBatch(batch);
+                }
+            }
+        }
+    }
+
     /**
      * Set info data.
      *
@@ -271,12 +982,75 @@ class SipdDequeue extends EventEmitter {
         if (!queue.id) {
             queue.setId(SipdUtil.genId());
         }
+        queue.queued = new Date();
+        if (queue.data && queue.data.delay && !queue.data.runAt) {
+            queue.data.runAt = new Date(queue.queued.getTime() + parseInt(queue.data.delay)).toISOString();
+        }
+        // keep expiration time across restart
+        const expiresAt = this.getExpiresAt(queue);
+        if (expiresAt && queue.data && !queue.data.expiresAt) {
+            queue.data.expiresAt = expiresAt.toISOString();
+        }
+        if (!queue.isDue()) {
+            queue.setStatus(SipdQueue.STATUS_SCHEDULED);
+        }
         this.queues.push(queue);
-        this.emit('queue', queue);
+        if (this.outbox && queue.type === SipdQueue.QUEUE_CALLBACK && !queue.outbox) {
+            // the secret itself is resolved by its callback on each delivery
+            const [url, token] = SipdQueue.getCallback(queue.callback);
+            if (SipdNotifier.getSecret(queue.callback, url, token)) {
+                queue.signed = true;
+            }
+            queue.outbox = this.outbox.add(queue);
+        }
+        const key = this.getIdempotencyKey(queue);
+        if (key && !queue.remote) {
+            this.idempotency.set(key, queue.id, queue.status);
+        }
+        if (this.isJournaled(queue)) {
+            this.journal.add(queue);
+            queue.onstatus = () => this.journal.status(queue);
+        }
+        // queue published by other node is announced by its origin
+        if (!queue.remote) {
+            this.emit('queue', queue);
+        }
+        if (this.cluster && !queue.remote) {
+            process.nextTick(() => this.publishQueue(queue));
+        }
         process.nextTick(() => this.processQueue());
         return {status: 'queued', id: queue.id};
     }
 
+    /**
+     * Re-enqueue failed queue from dead letter store. If queue id is not
+     * specified, all failed queues are re-enqueued.
+     *
+     * @param {string} id Failed queue id
+     * @param {object} data Data to patch the original queue data
+     * @returns {object[]}
+     */
+    retryFailed(id = null, data = null) {
+        const res = [];
+        if (this.deadletter && typeof this.createQueue === 'function') {
+            const items = id ? [this.deadletter.get(id)].filter(Boolean) : [...this.deadletter.items];
+            for (const item of items) {
+                const itemData = this.deadletter.getData(item);
+                const [result, queue] = this.createQueue({
+                    mode: item.mode,
+                    type: item.type,
+                    data: data ? {...itemData, ...data} : itemData,
+                    callback: item.callback,
+                }, true);
+                if (queue && result && result.status === 'queued') {
+                    this.deadletter.remove(item.id);
+                }
+                res.push({ref: item.id, ...result});
+            }
+        }
+        return res;
+    }
+
     /**
      * Pick one unprocessed queue for consumer.
      *
@@ -284,7 +1058,7 @@ class SipdDequeue extends EventEmitter {
      * @returns {SipdQueue}
      */
     pick(consumer) {
-        for (const queue of this.queues) {
+        for (const queue of this.getQueues()) {
             if (consumer.isAccepted(queue)) {
                 return queue;
             }
@@ -297,7 +1071,7 @@ class SipdDequeue extends EventEmitter {
      * @returns {SipdQueue}
      */
     getNext() {
-        return this.queues.length ? this.queues[0] : null;
+        return this.queues.length ? this.getQueues()[0] : null;
     }
 
     /**
@@ -333,8 +1107,25 @@ class SipdDequeue extends EventEmitter {
             total: this.completes.length + this.processing.length + this.queues.length,
             queue: this.queues.length,
         });
+        for (const st of [SipdQueue.STATUS_SCHEDULED, SipdQueue.STATUS_WAITING]) {
+            const queues = this.queues.filter(queue => queue.status === st);
+            if (queues.length) {
+                status[st] = queues.length;
+            }
+        }
+        if (this.queues.length) {
+            status.priority = {};
+            for (const queue of this.queues) {
+                const priority = queue.getPriorityText();
+                status.priority[priority] = (status.priority[priority] ?? 0) + 1;
+            }
+        }
         if (this.processing.length) {
             status.current = this.processing.map(queue => queue.toString()).join('<br/>');
+            const retrying = this.processing.filter(queue => queue.status === SipdQueue.STATUS_RETRYING);
+            if (retrying.length) {
+                status[SipdQueue.STATUS_RETRYING] = retrying.length;
+            }
         }
         const queue = this.getLast();
         if (queue) {
@@ -344,12 +1135,93 @@ class SipdDequeue extends EventEmitter {
     }
 
     /**
-     * Get processing queue logs.
+     * Get processing queue logs. If range is specified, the logs are ordered
+     * from the newest and include the archived logs.
+     *
+     * @param {number} flags Flags
+     * @param {{offset: number, limit: number}} range Logs range
+     * @returns {object[]}
+     */
+    getLogs(flags = 0, range = null) {
+        const raw = (flags & SipdQueue.LOG_RAW) === SipdQueue.LOG_RAW;
+        const logs = this.getQueueLogs(flags);
+        if (!range) {
+            return logs;
+        }
+        const offset = range.offset ?? 0;
+        const limit = range.limit ?? null;
+        logs.reverse();
+        const res = logs.slice(offset, limit !== null ? offset + limit : undefined);
+        if (this.archive && (flags & SipdQueue.LOG_AS_QUEUE) !== SipdQueue.LOG_AS_QUEUE &&
+            (limit === null || res.length < limit)) {
+            res.push(...this.archive
+                .read(Math.max(offset - logs.length, 0), limit !== null ? limit - res.length : null)
+                .map(log => {
+                    if (!raw && log.result && typeof log.result === 'object') {
+                        log.result = util.inspect(log.result);
+                    }
+                    return log;
+                })
+            );
+        }
+        return res;
+    }
+
+    /**
+     * Get number of queue logs including the archived logs.
+     *
+     * @param {number} flags Flags
+     * @returns {number}
+     */
+    countLogs(flags = 0) {
+        let count = this.getQueueLogs(flags).length;
+        if (this.archive && (flags & SipdQueue.LOG_AS_QUEUE) !== SipdQueue.LOG_AS_QUEUE) {
+            count += this.archive.count();
+        }
+        return count;
+    }
+
+    /**
+     * Search queue logs including the archived logs, ordered from the newest.
+     *
+     * @param {object} criteria Search criteria
+     * @param {string|string[]} criteria.type Queue type
+     * @param {string|string[]} criteria.status Queue status
+     * @param {string} criteria.bridge Bridge name
+     * @param {string} criteria.from Queue time from
+     * @param {string} criteria.to Queue time to
+     * @param {string} criteria.text Text to find in queue info
+     * @param {string} criteria.id Queue id or client `ID`
+     * @param {string} criteria.no Document number, e.g. SPP, SPM, SP2D, NPD, or TBP
+     * @param {{offset: number, limit: number}} range Logs range
+     * @returns {{count: number, items: object[]}}
+     */
+    search(criteria, range = null) {
+        criteria = criteria ?? {};
+        const offset = range && range.offset ? range.offset : 0;
+        const limit = range && typeof range.limit === 'number' ? range.limit : null;
+        const logs = this.getQueueLogs(SipdQueue.LOG_RAW)
+            .reverse()
+            .filter(log => SipdDequeue.matchLog(log, criteria));
+        const items = logs.slice(offset, limit !== null ? offset + limit : undefined);
+        let count = logs.length;
+        if (this.archive) {
+            // archived logs are matched by its index
+            const res = this.archive.search(log => SipdDequeue.matchLog(log, criteria),
+                Math.max(offset - logs.length, 0), limit !== null ? limit - items.length : null);
+            count += res.count;
+            items.push(...res.items);
+        }
+        return {count, items};
+    }
+
+    /**
+     * Get queue logs in memory.
      *
      * @param {number} flags Flags
      * @returns {object[]}
      */
-    getLogs(flags = 0) {
+    getQueueLogs(flags = 0) {
         return [...this.completes, ...this.processing, ...this.queues]
             .sort((a, b) => a.cmp(b))
             .filter(queue => {
@@ -389,31 +1261,47 @@ class SipdDequeue extends EventEmitter {
      * Load queue from file.
      */
     loadQueue() {
+        if (typeof this.createQueue !== 'function') {
+            return;
+        }
         const filename = path.join(process.cwd(), 'queue', 'saved.queue');
-        if (fs.existsSync(filename) && typeof this.createQueue === 'function') {
+        if (fs.existsSync(filename)) {
             const savedQueues = JSON.parse(fs.readFileSync(filename));
             if (savedQueues) {
                 savedQueues.forEach(queue => this.createQueue(queue));
             }
             fs.unlinkSync(filename);
         }
+        if (this.journal) {
+            const ids = [...this.completes, ...this.processing, ...this.queues].map(queue => queue.id);
+            const journaled = this.journal.read()
+                .filter(item => !ids.includes(item.queue.id) && !SipdQueue.STATUSES_FINISHED.includes(item.status));
+            // rewrite journal with queues added before loading, the journaled
+            // queues will be recorded again once it is re-added
+            this.journal.compact([...this.processing, ...this.queues].filter(queue => this.isJournaled(queue)));
+            for (const item of journaled) {
+                if ([SipdQueue.STATUS_PROCESSING, SipdQueue.STATUS_RETRYING].includes(item.status)) {
+                    SipdLogger.activity(dtag)('Queue %s:%s was interrupted, queued for retry', item.queue.type, item.queue.id);
+                }
+                this.createQueue(item.queue);
+            }
+            if (journaled.length) {
+                console.log(`Restored ${journaled.length} queue(s) from journal...`);
+            }
+        }
     }
 
     /**
      * Save unprocessed queue to file.
      */
     saveQueue() {
+        if (this.journal) {
+            this.journal.compact([...this.processing, ...this.queues].filter(queue => this.isJournaled(queue)));
+            return;
+        }
         const queues = this.queues.filter(queue => queue.isSaveable());
         if (queues.length) {
-            const savedQueues = queues.map(queue => {
-                const res = {};
-                for (const prop of ['mode', 'type', 'id', 'data', 'callback']) {
-                    if (queue[prop] !== undefined) {
-                        res[prop] = queue[prop];
-                    }
-                }
-                return res;
-            });
+            const savedQueues = queues.map(queue => queue.getSaveData());
             const queueDir = path.join(process.cwd(), 'queue');
             if (!fs.existsSync(queueDir)) {
                 fs.mkdirSync(queueDir, {recursive: true});
@@ -440,6 +1328,57 @@ class SipdDequeue extends EventEmitter {
         });
         return result;
     }
+
+    /**
+     * Check if queue log matches the criteria.
+     *
+     * @param {object} log Queue log
+     * @param {object} criteria Search criteria
+     * @returns {boolean}
+     */
+    static matchLog(log, criteria) {
+        const oneOf = (value, expected) => (Array.isArray(expected) ? expected : [expected]).includes(value);
+        const contains = (value, expected) => value !== undefined && value !== null &&
+            `${value}`.toLowerCase().includes(`${expected}`.toLowerCase());
+        if (criteria.type && !oneOf(log.type, criteria.type)) {
+            return false;
+        }
+        if (criteria.status && !oneOf(log.status, criteria.status)) {
+            return false;
+        }
+        if (criteria.bridge && log.bridge !== criteria.bridge) {
+            return false;
+        }
+        if (criteria.from || criteria.to) {
+            const time = log.time ? new Date(log.time).getTime() : NaN;
+            if (isNaN(time)) {
+                return false;
+            }
+            if (criteria.from && time < new Date(criteria.from).getTime()) {
+                return false;
+            }
+            // date only is considered until the end of day
+            if (criteria.to && time > new Date(criteria.to).getTime() +
+                (/^\d{4}-\d{2}-\d{2}$/.test(criteria.to) ? 24 * 60 * 60 * 1000 - 1 : 0)) {
+                return false;
+            }
+        }
+        if (criteria.text && !contains(log.name, criteria.text)) {
+            return false;
+        }
+        if (criteria.id && log.id !== criteria.id && log.ref != criteria.id) {
+            return false;
+        }
+        if (criteria.no) {
+            const result = log.result && typeof log.result === 'object' ? log.result : {};
+            if (!['spp', 'spm', 'sp2d', 'npd', 'tbp'].some(k => contains(result[k], criteria.no))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    static get MAX_BATCHES() { return 100 }
 }
 
 /**
@@ -512,6 +1451,10 @@ class SipdConsumer extends EventEmitter
             if (typeof queue.resolve === 'function') {
                 queue.resolve(res);
             }
+            // cancelled queue is already ended by dequeue
+            if (queue.status === SipdQueue.STATUS_CANCELLED) {
+                return;
+            }
             this.emit('queue-done', queue);
         }
         const fail = err => {
@@ -521,19 +1464,46 @@ class SipdConsumer extends EventEmitter
             if (typeof queue.reject === 'function') {
                 queue.reject(err);
             }
+            if (queue.status === SipdQueue.STATUS_CANCELLED) {
+                return;
+            }
             this.emit('queue-error', queue);
         }
         const retry = err => {
+            if (err instanceof SipdDeferError && queue.status !== SipdQueue.STATUS_CANCELLED) {
+                SipdLogger.activity(dtag)('Deferring %s: %s', queue.toString(), err.message);
+                queue.setResult(err.message);
+                this.emit('queue-defer', queue, err.delay);
+                return;
+            }
             const f = () => {
                 queue.retryCount = (queue.retryCount !== undefined ? queue.retryCount : 0) + 1;
-                if (err instanceof SipdRetryError && queue.retry && queue.retryCount <= queue.maxretry) {
-                    SipdLogger.activity(dtag)('Retrying %s (%d)...', queue.toString(), queue.retryCount);
+                if (queue.canRetry(err) && queue.retry && queue.retryCount <= queue.maxretry &&
+                    queue.status !== SipdQueue.STATUS_CANCELLED) {
+                    const delay = queue.getRetryDelay();
+                    this.emit('queue-retry', queue);
+                    const g = () => {
+                        if (delay > 0) {
+                            SipdLogger.activity(dtag)('Retrying %s (%d) in %d ms...', queue.toString(), queue.retryCount, delay);
+                            queue.retryAt = new Date(Date.now() + delay);
+                            queue.setStatus(SipdQueue.STATUS_RETRYING);
+                            setTimeout(() => {
+                                delete queue.retryAt;
+                                if (queue.status === SipdQueue.STATUS_RETRYING) {
+                                    doit();
+                                }
+                            }, delay);
+                        } else {
+                            SipdLogger.activity(dtag)('Retrying %s (%d)...', queue.toString(), queue.retryCount);
+                            doit();
+                        }
+                    }
                     if (typeof queue.onretry === 'function') {
                         queue.onretry()
-                            .then(() => doit())
+                            .then(() => g())
                             .catch(err => fail(err));
                     } else {
-                        doit();
+                        g();
                     }
                 } else {
                     fail(err);
@@ -652,6 +1622,9 @@ class SipdBridgeConsumer extends SipdConsumer
         if (SipdQueue.hasPendingQueue({type: SipdQueue.QUEUE_CLEAN, info: null})) {
             reason = 'cleaning in progress';
         }
+        if (!reason && this.bridge.isPaused()) {
+            reason = 'paused';
+        }
         if (!reason && !this.bridge.isOperational()) {
             reason = 'not operational';
         }
@@ -700,6 +1673,12 @@ class SipdBridgeConsumer extends SipdConsumer
         queue.bridge = this.bridge;
         queue.onretry = () => this.bridge.end(queue);
         queue.ontimeout = () => this.bridge.end(queue);
+        queue.oncancel = () => this.bridge.end(queue);
+        queue.ondefer = () => {
+            if (this.bridge.queue === queue) {
+                delete this.bridge.queue;
+            }
+        }
         switch (queue.type) {
             case SipdQueue.QUEUE_SPP:
                 return this.bridge.createSpp(queue);
@@ -743,7 +1722,16 @@ class SipdCallbackConsumer extends SipdConsumer
      */
     doConsume(queue) {
         const [url, token] = SipdQueue.getCallback(queue.callback);
-        return SipdNotifier.notify(url, token, queue.data);
+        const secret = SipdNotifier.getSecret(queue.callback, url, token);
+        // never send a signed callback unsigned, e.g. its secret is not registered again after restart
+        if (!secret && queue.signed) {
+            return Promise.reject(new SipdNotifyError(`Secret of callback ${url} is not available!`));
+        }
+        return SipdNotifier.notify(url, token, queue.data, {
+            secret,
+            // outbox id is kept across redelivery
+            delivery: queue.outbox ?? queue.id,
+        });
     }
 }
 
@@ -871,6 +1859,9 @@ class SipdQueue
         if (this.status !== status) {
             this.status = status;
             SipdLogger.activity(dtag)('Queue %s %s', this.toString(), this.getStatusText());
+            if (typeof this.onstatus === 'function') {
+                this.onstatus(this);
+            }
         }
         return this;
     }
@@ -921,6 +1912,74 @@ class SipdQueue
         return this.status;
     }
 
+    /**
+     * Get queue priority, lower value means higher priority.
+     *
+     * @returns {number}
+     */
+    getPriority() {
+        return SipdQueue.getPriorityValue(this.data?.priority);
+    }
+
+    /**
+     * Get queue priority name.
+     *
+     * @returns {string}
+     */
+    getPriorityText() {
+        const priority = this.getPriority();
+        for (const [name, value] of Object.entries(SipdQueue.PRIORITIES)) {
+            if (value === priority) {
+                return name;
+            }
+        }
+        return priority.toString();
+    }
+
+    /**
+     * Get the time when queue should be processed, either requested by
+     * `runAt` or deferred due to usage limit, whichever is later.
+     *
+     * @returns {Date|undefined}
+     */
+    getRunAt() {
+        let runAt;
+        if (this.data && this.data.runAt) {
+            runAt = new Date(this.data.runAt);
+            if (isNaN(runAt)) {
+                runAt = undefined;
+            }
+        }
+        if (this.deferAt && (!runAt || this.deferAt > runAt)) {
+            runAt = this.deferAt;
+        }
+        return runAt;
+    }
+
+    /**
+     * Is queue due for processing?
+     *
+     * @returns {boolean}
+     */
+    isDue() {
+        const runAt = this.getRunAt();
+        return runAt ? runAt.getTime() <= Date.now() : true;
+    }
+
+    /**
+     * Get queue dependencies.
+     *
+     * @returns {string[]}
+     */
+    getDependencies() {
+        if (this.data && this.data.dependsOn) {
+            return (Array.isArray(this.data.dependsOn) ? this.data.dependsOn : [this.data.dependsOn])
+                .filter(Boolean)
+                .map(ref => ref.toString());
+        }
+        return [];
+    }
+
     /**
      * Get queue mapped data name.
      *
@@ -1060,18 +2119,80 @@ class SipdQueue
         this.setResult(error);
     }
 
+    /**
+     * Get queue expiration time, either from queue `expiresAt` or `ttl`
+     * since queued.
+     *
+     * @param {number} ttl Default time to live in milliseconds
+     * @returns {Date|undefined}
+     */
+    getExpiresAt(ttl = null) {
+        if (this.data && this.data.expiresAt) {
+            const expiresAt = new Date(this.data.expiresAt);
+            if (!isNaN(expiresAt.getTime())) {
+                return expiresAt;
+            }
+        }
+        if (this.data && this.data.ttl !== undefined) {
+            ttl = parseInt(this.data.ttl);
+        }
+        if (ttl > 0 && this.queued) {
+            return new Date(this.queued.getTime() + ttl);
+        }
+    }
+
+    /**
+     * Check if error is retryable according to retry policy.
+     *
+     * @param {any} err Error
+     * @returns {boolean}
+     */
+    canRetry(err) {
+        const errors = this.retryPolicy ? this.retryPolicy.errors : [SipdRetryError.name];
+        const names = [];
+        if (err instanceof Error) {
+            for (let proto = Object.getPrototypeOf(err); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+                names.push(proto.constructor.name);
+            }
+        }
+        const message = err instanceof Error ? err.message : `${err}`;
+        for (const error of Array.isArray(errors) ? errors : [errors]) {
+            if (error.length > 2 && error.startsWith('/') && error.lastIndexOf('/') > 0) {
+                const p = error.lastIndexOf('/');
+                if (new RegExp(error.substring(1, p), error.substr(p + 1)).test(message)) {
+                    return true;
+                }
+            } else if (names.includes(error)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get delay for current retry according to retry policy.
+     *
+     * @returns {number}
+     */
+    getRetryDelay() {
+        let delay = 0;
+        if (this.retryPolicy && this.retryPolicy.delay > 0) {
+            const { multiplier, jitter } = this.retryPolicy;
+            delay = this.retryPolicy.delay * Math.pow(multiplier > 0 ? multiplier : 1, Math.max((this.retryCount ?? 1) - 1, 0));
+            if (jitter > 0) {
+                delay += delay * jitter * (Math.random() * 2 - 1);
+            }
+        }
+        return Math.max(Math.round(delay), 0);
+    }
+
     /**
      * Is queue finished?
      *
      * @returns {boolean}
      */
     finished() {
-        return [
-            SipdQueue.STATUS_DONE,
-            SipdQueue.STATUS_ERROR,
-            SipdQueue.STATUS_TIMED_OUT,
-            SipdQueue.STATUS_SKIPPED,
-        ].indexOf(this.status) >= 0;
+        return SipdQueue.STATUSES_FINISHED.includes(this.status);
     }
 
     /**
@@ -1090,6 +2211,29 @@ class SipdQueue
             res.time = this.time.toString();
         }
         res.status = this.status;
+        res.priority = this.getPriorityText();
+        if (this.bridge) {
+            res.bridge = this.bridge.name;
+        }
+        if (this.maps) {
+            res.ref = this.getMappedData('info.id');
+        }
+        if (this.status === SipdQueue.STATUS_SCHEDULED) {
+            res.runAt = this.getRunAt().toString();
+        }
+        if (this.status === SipdQueue.STATUS_WAITING) {
+            res.dependsOn = this.getDependencies();
+        }
+        if (this.isSaveable() && this.getExpiresAt()) {
+            res.expiresAt = this.getExpiresAt().toString();
+        }
+        if (this.status === SipdQueue.STATUS_PROCESSING && this.progress) {
+            res.step = this.progress.step;
+        }
+        if (this.status === SipdQueue.STATUS_RETRYING && this.retryAt) {
+            res.retry = this.retryCount;
+            res.retryAt = this.retryAt.toString();
+        }
         if (this.result) {
             res.result = this.result instanceof Error ? this.result.toString() :
                 (!raw && (Array.isArray(this.result) || typeof this.result === 'object') ? util.inspect(this.result) : this.result);
@@ -1097,6 +2241,21 @@ class SipdQueue
         return res;
     }
 
+    /**
+     * Get queue data for saving, which can be used to re-create the queue.
+     *
+     * @returns {object}
+     */
+    getSaveData() {
+        const res = {};
+        for (const prop of ['mode', 'type', 'id', 'data', 'callback']) {
+            if (this[prop] !== undefined) {
+                res[prop] = this[prop];
+            }
+        }
+        return res;
+    }
+
     /**
      * Get queue information.
      *
@@ -1181,7 +2340,7 @@ class SipdQueue
      * @returns {boolean}
      */
     isSaveable() {
-        return this.isFlagged('e') && [SipdQueue.STATUS_NEW].includes(this.status);
+        return this.isFlagged('e') && [SipdQueue.STATUS_NEW, SipdQueue.STATUS_SCHEDULED, SipdQueue.STATUS_WAITING].includes(this.status);
     }
 
     /**
@@ -1190,7 +2349,7 @@ class SipdQueue
      * @returns {boolean}
      */
     isLoggable() {
-        return this.isFlagged('e') && ![SipdQueue.STATUS_NEW, SipdQueue.STATUS_PROCESSING].includes(this.status);
+        return this.isFlagged('e') && ![SipdQueue.STATUS_NEW, SipdQueue.STATUS_SCHEDULED, SipdQueue.STATUS_WAITING, SipdQueue.STATUS_PROCESSING, SipdQueue.STATUS_RETRYING].includes(this.status);
     }
 
     /**
@@ -1414,6 +2573,25 @@ class SipdQueue
         return false;
     }
 
+    /**
+     * Get priority value from priority name or number.
+     *
+     * @param {string|number} priority Priority
+     * @returns {number}
+     */
+    static getPriorityValue(priority) {
+        if (typeof priority === 'string') {
+            if (this.PRIORITIES[priority.toLowerCase()] !== undefined) {
+                return this.PRIORITIES[priority.toLowerCase()];
+            }
+            priority = parseInt(priority);
+        }
+        if (typeof priority === 'number' && !isNaN(priority)) {
+            return priority;
+        }
+        return this.PRIORITY_NORMAL;
+    }
+
     /**
      * Get callback url along with bearer token.
      *
@@ -1461,11 +2639,42 @@ class SipdQueue
     static get QUEUE_CLEAN() { return 'clean' }
 
     static get STATUS_NEW() { return 'new' }
+    static get STATUS_SCHEDULED() { return 'scheduled' }
+    static get STATUS_WAITING() { return 'waiting' }
     static get STATUS_PROCESSING() { return 'processing' }
+    static get STATUS_RETRYING() { return 'retrying' }
     static get STATUS_DONE() { return 'done' }
     static get STATUS_ERROR() { return 'error' }
     static get STATUS_TIMED_OUT() { return 'timeout' }
     static get STATUS_SKIPPED() { return 'skipped' }
+    static get STATUS_CANCELLED() { return 'cancelled' }
+    static get STATUS_EXPIRED() { return 'expired' }
+
+    static get STATUSES_FINISHED() {
+        return [
+            this.STATUS_DONE,
+            this.STATUS_ERROR,
+            this.STATUS_TIMED_OUT,
+            this.STATUS_SKIPPED,
+            this.STATUS_CANCELLED,
+            this.STATUS_EXPIRED,
+        ];
+    }
+
+    static get PRIORITY_URGENT() { return 10 }
+    static get PRIORITY_HIGH() { return 20 }
+    static get PRIORITY_NORMAL() { return 30 }
+    static get PRIORITY_LOW() { return 40 }
+    static get PRIORITY_LANE() { return 10 }
+
+    static get PRIORITIES() {
+        return {
+            urgent: this.PRIORITY_URGENT,
+            high: this.PRIORITY_HIGH,
+            normal: this.PRIORITY_NORMAL,
+            low: this.PRIORITY_LOW,
+        }
+    }
 
     static get LOG_RAW() { return 1 }
     static get LOG_AS_LOG() { return 2 }
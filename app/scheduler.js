@@ -0,0 +1,367 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SipdLogger = require('./sipd/logger');
+
+const dtag = 'scheduler';
+
+/**
+ * Recurring job scheduler which runs command using cron-style schedule.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdScheduler {
+
+    /** @type {SipdSchedule[]} */
+    schedules = []
+
+    /**
+     * Constructor.
+     *
+     * @param {object[]} schedules Schedules configuration
+     * @param {Function} handler Command handler which accepts command name and its params
+     */
+    constructor(schedules, handler) {
+        this.handler = handler;
+        for (const options of schedules) {
+            try {
+                this.schedules.push(new SipdSchedule(options));
+            }
+            catch (err) {
+                console.error(`Schedule ${options.name ?? options.command ?? options.cron} is ignored: ${err.message}!`);
+            }
+        }
+    }
+
+    /**
+     * Start the scheduler.
+     *
+     * @returns {SipdScheduler}
+     */
+    start() {
+        if (this.schedules.length && !this.timer) {
+            const now = new Date();
+            this.schedules.forEach(schedule => schedule.update(now));
+            this.next();
+        }
+        return this;
+    }
+
+    /**
+     * Stop the scheduler.
+     *
+     * @returns {SipdScheduler}
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            delete this.timer;
+        }
+        return this;
+    }
+
+    /**
+     * Wait until next minute and run due schedules.
+     */
+    next() {
+        const now = Date.now();
+        this.timer = setTimeout(() => {
+            this.run(new Date());
+            this.next();
+        }, SipdSchedule.MINUTE - (now % SipdSchedule.MINUTE));
+    }
+
+    /**
+     * Run due schedules.
+     *
+     * @param {Date} date Current time
+     */
+    run(date) {
+        for (const schedule of this.schedules) {
+            if (schedule.nextRun && schedule.nextRun <= date) {
+                schedule.lastRun = date;
+                try {
+                    const params = schedule.getParams(date);
+                    SipdLogger.activity(dtag)('Running schedule %s: %s', schedule.name, schedule.command);
+                    Promise.resolve(this.handler(schedule.command, params))
+                        .then(res => {
+                            schedule.result = res;
+                            SipdLogger.activity(dtag)('Schedule %s result: %s', schedule.name, JSON.stringify(res));
+                        })
+                        .catch(err => {
+                            schedule.result = {error: err instanceof Error ? err.message : err};
+                            SipdLogger.activity(dtag)('Schedule %s failed: %s', schedule.name, err);
+                        });
+                }
+                catch (err) {
+                    schedule.result = {error: err.message};
+                    SipdLogger.activity(dtag)('Schedule %s failed: %s', schedule.name, err);
+                }
+                schedule.update(date);
+            }
+        }
+    }
+
+    /**
+     * Get schedules status.
+     *
+     * @returns {object[]}
+     */
+    getStatus() {
+        return this.schedules.map(schedule => schedule.getStatus());
+    }
+}
+
+/**
+ * A cron-style schedule.
+ *
+ * The schedule accepts standard five fields cron expression: minute, hour,
+ * day of month, month, and day of week. Each field accepts `*`, a number, a
+ * range `a-b`, a list `a,b`, and a step such as `0-30/5`.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdSchedule {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {string} options.name Schedule name
+     * @param {string} options.cron Cron expression
+     * @param {string} options.command Command name, e.g. lpj:list
+     * @param {object} options.data Command data, may contain date tokens
+     * @param {string} options.outdir Output directory for export command
+     */
+    constructor(options) {
+        if (!options.cron || !options.command) {
+            throw new Error('Schedule requires cron and command');
+        }
+        this.name = options.name ?? options.command;
+        this.cron = options.cron;
+        this.command = options.command;
+        this.data = options.data ?? {};
+        this.outdir = options.outdir;
+        this.fields = SipdSchedule.parse(this.cron);
+    }
+
+    /**
+     * Update next run time.
+     *
+     * @param {Date} date Current time
+     */
+    update(date) {
+        this.nextRun = this.getNext(date);
+    }
+
+    /**
+     * Get command params with date tokens replaced.
+     *
+     * @param {Date} date Run time
+     * @returns {object}
+     */
+    getParams(date) {
+        const data = {year: date.getFullYear(), timeout: 0};
+        for (const [k, v] of Object.entries(this.data)) {
+            data[k] = typeof v === 'string' ? SipdSchedule.replaceTokens(v, date) : v;
+        }
+        const res = {data};
+        if (this.outdir) {
+            res.outdir = this.outdir;
+        }
+        return res;
+    }
+
+    /**
+     * Is day of month or day of week matched the schedule? When both are
+     * restricted, matching either one is sufficient.
+     *
+     * @param {Date} date Date
+     * @returns {boolean}
+     */
+    isDayMatch(date) {
+        const [, , dom, , dow] = this.fields;
+        const domMatch = dom.values.includes(date.getDate());
+        const dowMatch = dow.values.includes(date.getDay());
+        if (dom.any || dow.any) {
+            return domMatch && dowMatch;
+        }
+        return domMatch || dowMatch;
+    }
+
+    /**
+     * Get next run time after date.
+     *
+     * @param {Date} date Date
+     * @returns {Date|undefined}
+     */
+    getNext(date) {
+        const [minute, hour, , month] = this.fields;
+        const dt = new Date(date.getTime());
+        dt.setSeconds(0, 0);
+        dt.setMinutes(dt.getMinutes() + 1);
+        const limit = date.getTime() + SipdSchedule.MAX_LOOKUP;
+        while (dt.getTime() <= limit) {
+            if (!month.values.includes(dt.getMonth() + 1)) {
+                dt.setMonth(dt.getMonth() + 1, 1);
+                dt.setHours(0, 0);
+                continue;
+            }
+            if (!this.isDayMatch(dt)) {
+                dt.setDate(dt.getDate() + 1);
+                dt.setHours(0, 0);
+                continue;
+            }
+            if (!hour.values.includes(dt.getHours())) {
+                dt.setHours(dt.getHours() + 1, 0);
+                continue;
+            }
+            if (!minute.values.includes(dt.getMinutes())) {
+                dt.setMinutes(dt.getMinutes() + 1);
+                continue;
+            }
+            return dt;
+        }
+    }
+
+    /**
+     * Get schedule status.
+     *
+     * @returns {object}
+     */
+    getStatus() {
+        const res = {
+            name: this.name,
+            cron: this.cron,
+            command: this.command,
+            next: this.nextRun ? this.nextRun.toISOString() : null,
+        }
+        if (this.lastRun) {
+            res.last = this.lastRun.toISOString();
+        }
+        if (this.result !== undefined) {
+            res.result = this.result;
+        }
+        return res;
+    }
+
+    /**
+     * Parse cron expression.
+     *
+     * @param {string} cron Cron expression
+     * @returns {{any: boolean, values: number[]}[]}
+     */
+    static parse(cron) {
+        const parts = cron.trim().split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Invalid cron expression ${cron}`);
+        }
+        return parts.map((part, idx) => this.parseField(part, ...this.RANGES[idx]));
+    }
+
+    /**
+     * Parse cron field.
+     *
+     * @param {string} field Field
+     * @param {number} min Minimum value
+     * @param {number} max Maximum value
+     * @returns {{any: boolean, values: number[]}}
+     */
+    static parseField(field, min, max) {
+        const values = new Set();
+        for (const item of field.split(',')) {
+            const [range, step] = item.split('/');
+            let start, end;
+            if (range === '*') {
+                start = min;
+                end = max;
+            } else if (range.includes('-')) {
+                [start, end] = range.split('-').map(v => parseInt(v));
+            } else {
+                start = parseInt(range);
+                end = step ? max : start;
+            }
+            const inc = step ? parseInt(step) : 1;
+            if (isNaN(start) || isNaN(end) || isNaN(inc) || inc < 1 || start < min || end > max || start > end) {
+                throw new Error(`Invalid cron field ${field}`);
+            }
+            for (let i = start; i <= end; i += inc) {
+                // both 0 and 7 are sunday
+                values.add(max === 7 && i === 7 ? 0 : i);
+            }
+        }
+        return {any: field === '*', values: [...values]};
+    }
+
+    /**
+     * Replace date tokens in value.
+     *
+     * Supported tokens are `{today}`, `{yesterday}`, `{week-start}`,
+     * `{month-start}`, `{month-end}`, `{prev-month-start}`, `{prev-month-end}`,
+     * `{year}`, and `{month}`.
+     *
+     * @param {string} value Value
+     * @param {Date} date Run time
+     * @returns {string}
+     */
+    static replaceTokens(value, date) {
+        const y = date.getFullYear(), m = date.getMonth(), d = date.getDate();
+        const tokens = {
+            'today': new Date(y, m, d),
+            'yesterday': new Date(y, m, d - 1),
+            'week-start': new Date(y, m, d - ((date.getDay() + 6) % 7)),
+            'month-start': new Date(y, m, 1),
+            'month-end': new Date(y, m + 1, 0),
+            'prev-month-start': new Date(y, m - 1, 1),
+            'prev-month-end': new Date(y, m, 0),
+            'year': y,
+            'month': m + 1,
+        }
+        return value.replace(/\{([a-z\-]+)\}/g, (match, token) => {
+            const v = tokens[token];
+            if (v instanceof Date) {
+                return [
+                    v.getFullYear(),
+                    (v.getMonth() + 1).toString().padStart(2, '0'),
+                    v.getDate().toString().padStart(2, '0'),
+                ].join('-');
+            }
+            return v !== undefined ? v.toString() : match;
+        });
+    }
+
+    static get RANGES() {
+        return [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+    }
+
+    static get MINUTE() {
+        return 60 * 1000;
+    }
+
+    static get MAX_LOOKUP() {
+        return 5 * 366 * 24 * 60 * 60 * 1000;
+    }
+}
+
+module.exports = {SipdScheduler, SipdSchedule};
\ No newline at end of file
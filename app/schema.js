@@ -0,0 +1,181 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SipdUtil = require('./sipd/util');
+
+/**
+ * Queue data schema.
+ *
+ * Each field is described by its type (string, number, date, enum, or pdf),
+ * a required flag which can be a condition such as `JENIS=usaha`, a default
+ * value, and optional constraints: pattern, minLength, maxLength, min, max, values,
+ * and maxSize.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdSchema {
+
+    /**
+     * Constructor.
+     *
+     * @param {{[field: string]: string|object}} fields Field definitions
+     */
+    constructor(fields) {
+        /** @type {{[field: string]: object}} */
+        this.fields = {};
+        for (const [field, def] of Object.entries(fields || {})) {
+            this.fields[field] = typeof def === 'string' ? {description: def} : def;
+        }
+    }
+
+    /**
+     * Validate data against schema.
+     *
+     * @param {object} data Data to validate
+     * @returns {{[field: string]: string}|undefined} Field errors, or undefined if data is valid
+     */
+    validate(data) {
+        const errors = {};
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return {'*': 'Data must be an object!'};
+        }
+        for (const [field, def] of Object.entries(this.fields)) {
+            const err = this.check(data[field], def, data);
+            if (err) {
+                errors[field] = err;
+            }
+        }
+        return Object.keys(errors).length ? errors : undefined;
+    }
+
+    /**
+     * Check a field value.
+     *
+     * @param {any} value Field value
+     * @param {object} def Field definition
+     * @param {object} data The whole data
+     * @returns {string|undefined} Error message
+     */
+    check(value, def, data) {
+        if (value === undefined || value === null || value === '') {
+            if (this.isRequired(def, data)) {
+                return 'Value is required!';
+            }
+            return;
+        }
+        switch (def.type) {
+            case SipdSchema.TYPE_NUMBER:
+                if (typeof value === 'boolean' || isNaN(value)) {
+                    return `Value ${value} is not a number!`;
+                }
+                value = Number(value);
+                if (def.min !== undefined && value < def.min) {
+                    return `Value must be at least ${def.min}!`;
+                }
+                if (def.max !== undefined && value > def.max) {
+                    return `Value must be at most ${def.max}!`;
+                }
+                break;
+            case SipdSchema.TYPE_DATE:
+                if (typeof value === 'boolean' || isNaN(SipdUtil.getDate(value))) {
+                    return `Value ${value} is not a date!`;
+                }
+                break;
+            case SipdSchema.TYPE_ENUM:
+                if (!(def.values || []).includes(String(value))) {
+                    return `Value ${value} must be one of ${(def.values || []).join(', ')}!`;
+                }
+                break;
+            case SipdSchema.TYPE_PDF:
+                // socket transfers buffer as is, but a serialized one may come from saved queue
+                if (typeof value === 'object' && value.type === 'Buffer' && value.data) {
+                    value = Buffer.from(value.data);
+                }
+                if (!Buffer.isBuffer(value)) {
+                    return 'Value must be a PDF buffer!';
+                }
+                if (value.subarray(0, 5).toString() !== '%PDF-') {
+                    return 'Value is not a PDF document!';
+                }
+                if (def.maxSize && value.byteLength > SipdUtil.getBytes(def.maxSize)) {
+                    return `File size is larger than ${def.maxSize}!`;
+                }
+                break;
+            default:
+                if (typeof value === 'object') {
+                    return 'Value must be a string!';
+                }
+                value = String(value);
+                if (def.pattern && !value.match(new RegExp(def.pattern))) {
+                    return `Value ${value} does not match ${def.pattern}!`;
+                }
+                if (def.minLength !== undefined && value.length < def.minLength) {
+                    return `Value must be at least ${def.minLength} characters!`;
+                }
+                if (def.maxLength !== undefined && value.length > def.maxLength) {
+                    return `Value must be at most ${def.maxLength} characters!`;
+                }
+                break;
+        }
+    }
+
+    /**
+     * Check if field is required.
+     *
+     * A condition in form of `FIELD=value` or `FIELD!=value` makes the field
+     * required only when the condition is met. A comma separated value such
+     * as `npd,tbp` meets the condition if one of it is matched, and an empty
+     * value is taken from the default of the referenced field.
+     *
+     * @param {object} def Field definition
+     * @param {object} data The whole data
+     * @returns {boolean}
+     */
+    isRequired(def, data) {
+        if (typeof def.required === 'string') {
+            const matches = def.required.match(/^(\w+)\s*(!?=)\s*(.*)$/);
+            if (matches) {
+                let value = data[matches[1]];
+                if (value === undefined || value === null || value === '') {
+                    value = this.fields[matches[1]]?.default ?? '';
+                }
+                const values = String(value)
+                    .toLowerCase()
+                    .split(',')
+                    .map(s => s.trim());
+                const found = values.includes(matches[3].toLowerCase());
+                return matches[2] === '=' ? found : !found;
+            }
+        }
+        return def.required === true;
+    }
+
+    static get TYPE_STRING() { return 'string' }
+    static get TYPE_NUMBER() { return 'number' }
+    static get TYPE_DATE() { return 'date' }
+    static get TYPE_ENUM() { return 'enum' }
+    static get TYPE_PDF() { return 'pdf' }
+}
+
+module.exports = SipdSchema;
\ No newline at end of file
@@ -32,6 +32,8 @@ const Util = require('@ntlab/ntlib/util');
 const { Sipd } = require('../sipd');
 const { SipdQueryBase } = require('./query');
 const { SipdReader } = require('./reader');
+const { SipdLockManager } = require('../bridge/lock');
+const { SipdFormPlanner, SipdAfektasi } = require('./planner');
 const { SipdVoterPegawai } = require('./query/pegawai');
 const { SipdVoterRekanan } = require('./query/rekanan');
 const { SipdVoterNpd } = require('./query/npd');
@@ -234,26 +236,7 @@ class SipdSession {
      * @returns {string[]}
      */
     getFlags(flags, s, multiple = false) {
-        const res = [];
-        if (typeof flags === 'string') {
-            flags = flags.split('');
-        }
-        if (!Array.isArray(flags)) {
-            flags = [flags];
-        }
-        while (true) {
-            if (flags.includes(s.substr(0, 1))) {
-                res.push(s.substr(0, 1));
-                s = s.substr(1);
-                if (multiple) {
-                    continue;
-                } else {
-                    break;
-                }
-            }
-            break;
-        }
-        return res;
+        return SipdFormPlanner.getFlags(flags, s, multiple);
     }
 
     /**
@@ -264,34 +247,7 @@ class SipdSession {
      * @returns {object}
      */
     getFormKey(key) {
-        const res = {};
-        // flags:
-        // + add wait
-        // ? perform read operatiron
-        // * required
-        // ~ optional
-        // $ set value using javascript
-        // - ignored, used to duplicate selector
-        // & advance date to skip holiday
-        res.flags = this.getFlags('+?*~$-&', key, true);
-        if (res.flags.length) {
-            key = key.substr(res.flags.length);
-        }
-        // check parent
-        if (key.indexOf('!') > 1) {
-            const part = key.split('!');
-            res.parent = part[0];
-            key = part[1];
-        }
-        // selector flags:
-        // # id selector
-        // = xpath selector
-        res.sflags = this.getFlags('#=', key);
-        if (res.sflags.length) {
-            key = key.substr(res.sflags.length);
-        }
-        res.selector = key;
-        return res;
+        return SipdFormPlanner.getFormKey(key);
     }
 
     /**
@@ -392,7 +348,8 @@ class SipdSession {
     }
 
     /**
-     * Login to SIPD Penatausahaan.
+     * Login to SIPD Penatausahaan and record the user usage if a login is
+     * actually performed.
      *
      * @returns {Promise<any>}
      */
@@ -400,6 +357,7 @@ class SipdSession {
         return this.works([
             [w => this.start()],
             [w => this.sipd.login(this.cred.username, this.cred.password, [this.cred.role, this.cred.idx])],
+            [w => SipdLockManager.get(this.cred.username).use(this.bridge?.queue?.id), w => w.getRes(1)],
         ]);
     }
 
@@ -830,130 +788,27 @@ class SipdSession {
     handleFormFill(name, queue, files) {
         const result = [];
         const maps = queue.getMap(name);
-        const trunc = (s, len = 100) => {
-            if (Array.isArray(s)) {
-                s = s.map(s => trunc(s, len));
-            }
-            if (Buffer.isBuffer(s)) {
-                const { inspect } = require('util');
-                s = inspect(s);
-            } else if (typeof s === 'string' && s.length > len) {
-                s = s.substr(0, len) + '...';
-            }
-            return s;
-        }
+        const planner = new SipdFormPlanner(queue, {log: msg => this.debug(dtag)(msg)});
         delete this.afektasi;
         this.kegSeq = 0;
         for (const k of Object.keys(maps)) {
-            const selector = [];
-            const f = this.getFormKey(k);
-            let key = f.selector, attr, vcond, vtype, data, afektasi;
-            switch (true) {
-                case f.sflags.includes('#'):
-                    attr = 'id';
-                    break;
-                case f.sflags.includes('='):
-                    break;
-                default:
-                    attr = 'name';
-                    break;
-            }
-            let value;
-            // don't map value on read operation
-            if (!f.flags.includes('?')) {
-                value = queue.getMappedData([name, k]);
-                this.debug(dtag)(`Mapped value ${name + '->' + key} = ${trunc(value)}`);
-            }
-            // fall back to non mapped value if undefined
-            if (value === undefined) {
-                if (f.flags.includes('*')) {
-                    throw new Error(`Form ${name}: ${key} value is mandatory`);
-                }
-                value = maps[k];
+            const res = planner.resolve(name, k);
+            if (res.skip) {
+                continue;
             }
-            // handle condition or special value
-            if (typeof value === 'string' && queue.getMap([name, k]) === value) {
-                // condition (?) with evaluated values separated by comma (,)
-                let okay, p = value.indexOf('?');
-                if (p > 0) {
-                    vcond = value.substr(0, p);
-                    value = value.substr(p + 1);
-                    const operators = {
-                        '!=': (a, b) => a !== b,
-                        '<=': (a, b) => a <= b,
-                        '>=': (a, b) => a >= b,
-                        '<':  (a, b) => a < b,
-                        '>':  (a, b) => a > b,
-                        '=':  (a, b) => a === b,
-                    }
-                    for (const [op, fn] of Object.entries(operators)) {
-                        if (vcond.indexOf(op) > 0) {
-                            const params = vcond.split(op).map(p => p.trim());
-                            for (let i = 0; i < params.length; i++) {
-                                const pvalue = queue.getDataValue(params[i]);
-                                if (pvalue !== undefined) {
-                                    params[i] = pvalue;
-                                }
-                            }
-                            okay = fn(params[0], params[1]);
-                            break;
-                        }
-                    }
-                    this.debug(dtag)(`Condition ${vcond} evaluated to ${okay ? 'true' : 'false'}`);
-                    const [vtrue, vfalse] = value.split(',');
-                    value = okay ? vtrue : vfalse;
-                    if (!value) {
-                        continue;
-                    }
-                }
-                // special value TYPE:value
-                p = value.indexOf(':');
-                if (p > 0) {
-                    vtype = value.substr(0, p);
-                    value = value.substr(p + 1);
-                }
-            }
-            // handle special value TYPE:value
-            if (vtype) {
-                const v = queue.getDataValue(value);
-                if (v === undefined) {
-                    // try multiple values
-                    if (value.indexOf('|') > 0) {
-                        const values = [];
-                        value.split('|').forEach(val => {
-                            const vv = queue.getDataValue(val);
-                            values.push(vv !== undefined ? vv : val);
-                        });
-                        if (values.length) {
-                            value = values;
-                        }
-                    }
-                } else {
-                    value = v;
-                }
-                this.debug(dtag)(`Special TYPE:value ${name + '->' + key} = ${trunc(value)}`);
-            }
-            // check for safe string
-            if (typeof value === 'string' && value.length) {
-                value = SipdUtil.getSafeStr(value);
-            }
-            // handle special key
-            if (key.indexOf(':') > 0) {
-                const y = key.split(':');
-                key = y[1];
-                afektasi = this.getAfektasi(y[0])
+            const { f, key, vtype, value } = res;
+            let data, afektasi;
+            if (res.charge) {
+                afektasi = this.getAfektasi(res.charge)
                     .set(key, value);
             }
-            if (!f.sflags.includes('=')) {
-                selector.push(`[@${attr}="${key}"]`);
-            }
             if (afektasi) {
                 if (!this.afektasi) {
                     this.afektasi = afektasi;
                 }
             } else {
                 data = {
-                    target: By.xpath(f.sflags.includes('=') ? key : `.//*${selector.join('')}`),
+                    target: By.xpath(res.xpath),
                     value
                 }
                 // check form parent
@@ -1081,9 +936,9 @@ class SipdSession {
                 }
                 data.prefill = (el, value) => {
                     if (isFill) {
-                        this.debug(dtag)(`Do fill ${name + '->' + key} with ${trunc(value)}`);
+                        this.debug(dtag)(`Do fill ${name + '->' + key} with ${SipdFormPlanner.trunc(value)}`);
                     } else {
-                        this.debug(dtag)(`Do read ${name + '->' + key} into ${trunc(value)}`);
+                        this.debug(dtag)(`Do read ${name + '->' + key} into ${SipdFormPlanner.trunc(value)}`);
                     }
                 }
                 data.afterfill = el => this.works([
@@ -1304,7 +1159,7 @@ class SipdSession {
      * @param {Error|string} message Message
      * @param {object} data Payload
      * @param {string} dir Directory name
-     * @returns {Promise<any>}
+     * @returns {Promise<string|null>} Captured screenshot filename
      */
     captureScreen(message, data, dir = 'captures') {
         const f = e => {
@@ -1321,88 +1176,9 @@ class SipdSession {
             [w => Promise.resolve(this.saveFile(this.genFilename(dir, `${w.getRes(2)}.png`), w.getRes(1))), w => w.getRes(0)],
             [w => Promise.resolve(this.saveFile(this.genFilename(dir, `${w.getRes(2)}.err`), f(message))), w => w.getRes(0) && message],
             [w => Promise.resolve(this.saveFile(this.genFilename(dir, `${w.getRes(2)}.json`), JSON.stringify(data))), w => w.getRes(0) && data],
+            [w => Promise.resolve(w.getRes(0) ? `${w.getRes(2)}.png` : null)],
         ]);
     }
 }
 
-/**
- * Holds account charges.
- *
- * @author Toha <tohenk@yahoo.com>
- */
-class SipdAfektasi {
-
-    keys = {
-        kuota: false,
-        keg: true,
-        rek: true,
-        no: false,
-        tgl: true,
-        untuk: false,
-        nominal: true,
-        sisa: false,
-    }
-
-    /**
-     * Set key value.
-     *
-     * @param {string} key The key
-     * @param {any} value The value
-     * @returns {SipdAfektasi}
-     */
-    set(key, value) {
-        if (!key) {
-            throw new Error('Key is required!');
-        }
-        key = key.toLowerCase();
-        if (!Object.keys(this.keys).includes(key)) {
-            throw new Error(`Unknown key ${key}!`);
-        }
-        this[key] = value;
-        return this;
-    }
-
-    /**
-     * Clear all values.
-     *
-     * @returns {SipdAfektasi}
-     */
-    clear() {
-        for (const k of Object.keys(this.keys)) {
-            delete this[k];
-        }
-        return this;
-    }
-
-    /**
-     * Check if afektasi is valid.
-     *
-     * @returns {boolean}
-     */
-    isValid() {
-        for (const [k, required] of Object.entries(this.keys)) {
-            if (required && (this[k] === undefined || this[k] === null)) {
-                return false;
-            }
-        }
-        return true;
-    }
-
-    /**
-     * Create or get account charge.
-     *
-     * @param {string} id The account id
-     * @returns {SipdAfektasi}
-     */
-    static get(id) {
-        if (this.instances === undefined) {
-            this.instances = {};
-        }
-        if (this.instances[id] === undefined) {
-            this.instances[id] = new this();
-        }
-        return this.instances[id];
-    }
-}
-
 module.exports = SipdSession;
@@ -0,0 +1,450 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SipdUtil = require('../sipd/util');
+
+/**
+ * Resolves form mapping into fill-in plan without touching the browser.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdFormPlanner {
+
+    /**
+     * Constructor.
+     *
+     * @param {import('../queue')} queue Queue with maps
+     * @param {object} options Options
+     * @param {Function} options.log Debug logger
+     */
+    constructor(queue, options = {}) {
+        this.queue = queue;
+        this.log = options.log ?? (() => {});
+    }
+
+    /**
+     * Resolve a form map entry.
+     *
+     * @param {string} name Form name
+     * @param {string} k Map key
+     * @returns {object}
+     */
+    resolve(name, k) {
+        const queue = this.queue;
+        const maps = queue.getMap(name);
+        const f = SipdFormPlanner.getFormKey(k);
+        const res = {f, key: f.selector};
+        let attr, value, p;
+        switch (true) {
+            case f.sflags.includes('#'):
+                attr = 'id';
+                break;
+            case f.sflags.includes('='):
+                break;
+            default:
+                attr = 'name';
+                break;
+        }
+        // don't map value on read operation
+        if (!f.flags.includes('?')) {
+            value = queue.getMappedData([name, k]);
+            this.log(`Mapped value ${name + '->' + res.key} = ${SipdFormPlanner.trunc(value)}`);
+        }
+        // fall back to non mapped value if undefined
+        if (value === undefined) {
+            if (f.flags.includes('*')) {
+                throw new Error(`Form ${name}: ${res.key} value is mandatory`);
+            }
+            value = maps[k];
+        }
+        // handle condition or special value
+        if (typeof value === 'string' && queue.getMap([name, k]) === value) {
+            // condition (?) with evaluated values separated by comma (,)
+            p = value.indexOf('?');
+            if (p > 0) {
+                res.vcond = value.substr(0, p);
+                value = value.substr(p + 1);
+                const operators = {
+                    '!=': (a, b) => a !== b,
+                    '<=': (a, b) => a <= b,
+                    '>=': (a, b) => a >= b,
+                    '<':  (a, b) => a < b,
+                    '>':  (a, b) => a > b,
+                    '=':  (a, b) => a === b,
+                }
+                for (const [op, fn] of Object.entries(operators)) {
+                    if (res.vcond.indexOf(op) > 0) {
+                        const params = res.vcond.split(op).map(p => p.trim());
+                        for (let i = 0; i < params.length; i++) {
+                            const pvalue = queue.getDataValue(params[i]);
+                            if (pvalue !== undefined) {
+                                params[i] = pvalue;
+                            }
+                        }
+                        res.okay = fn(params[0], params[1]);
+                        break;
+                    }
+                }
+                this.log(`Condition ${res.vcond} evaluated to ${res.okay ? 'true' : 'false'}`);
+                const [vtrue, vfalse] = value.split(',');
+                value = res.okay ? vtrue : vfalse;
+                if (!value) {
+                    res.skip = true;
+                    return res;
+                }
+            }
+            // special value TYPE:value
+            p = value.indexOf(':');
+            if (p > 0) {
+                res.vtype = value.substr(0, p);
+                value = value.substr(p + 1);
+            }
+        }
+        // handle special value TYPE:value
+        if (res.vtype) {
+            const v = queue.getDataValue(value);
+            if (v === undefined) {
+                // try multiple values
+                if (value.indexOf('|') > 0) {
+                    const values = [];
+                    value.split('|').forEach(val => {
+                        const vv = queue.getDataValue(val);
+                        values.push(vv !== undefined ? vv : val);
+                    });
+                    if (values.length) {
+                        value = values;
+                    }
+                }
+            } else {
+                value = v;
+            }
+            this.log(`Special TYPE:value ${name + '->' + res.key} = ${SipdFormPlanner.trunc(value)}`);
+        }
+        // check for safe string
+        if (typeof value === 'string' && value.length) {
+            value = SipdUtil.getSafeStr(value);
+        }
+        // handle special key
+        if (res.key.indexOf(':') > 0) {
+            const y = res.key.split(':');
+            res.key = y[1];
+            res.charge = y[0];
+        } else {
+            res.xpath = f.sflags.includes('=') ? res.key : `.//*[@${attr}="${res.key}"]`;
+        }
+        res.value = value;
+        return res;
+    }
+
+    /**
+     * Get fill-in handler type of resolved map entry.
+     *
+     * @param {object} res Resolved map entry
+     * @returns {string}
+     */
+    getHandler(res) {
+        let handler = SipdFormPlanner.HANDLERS.includes(res.vtype) ? res.vtype : null;
+        for (const flag of res.f.flags) {
+            switch (flag) {
+                case '?':
+                    handler = res.vtype === 'STATE' ? 'STATE' : 'READ';
+                    break;
+                case '$':
+                    handler = 'SCRIPT';
+                    break;
+            }
+        }
+        if (!handler) {
+            handler = res.key.toLowerCase().includes('tanggal') ? 'DATE' : 'FILL';
+        }
+        return handler;
+    }
+
+    /**
+     * Plan form fill-in.
+     *
+     * @param {string[]} names Form names, all forms if omitted
+     * @returns {{[name: string]: {items: object[], afektasi: object}}}
+     */
+    plan(names = null) {
+        const result = {};
+        if (!names) {
+            names = Object.keys(this.queue.maps || {}).filter(name => name !== 'info');
+        }
+        for (const name of names) {
+            const maps = this.queue.getMap(name);
+            if (!maps || typeof maps !== 'object') {
+                continue;
+            }
+            const items = [], charges = {};
+            for (const k of Object.keys(maps)) {
+                const item = {key: k};
+                try {
+                    const res = this.resolve(name, k);
+                    if (res.vcond) {
+                        item.condition = {expr: res.vcond, result: res.okay ? true : false};
+                    }
+                    if (res.skip) {
+                        item.skipped = true;
+                    } else if (res.charge) {
+                        if (charges[res.charge] === undefined) {
+                            charges[res.charge] = new SipdAfektasi();
+                        }
+                        charges[res.charge].set(res.key, res.value);
+                        item.afektasi = res.charge.toLowerCase();
+                        item.field = res.key.toLowerCase();
+                        item.value = SipdFormPlanner.summarize(res.value);
+                    } else {
+                        item.selector = res.xpath;
+                        if (res.f.parent) {
+                            item.parent = res.f.parent;
+                        }
+                        item.handler = this.getHandler(res);
+                        item.value = SipdFormPlanner.summarize(item.handler === 'DATE' ?
+                            SipdUtil.getDate(res.value, res.f.flags.includes('&')) : res.value);
+                        item.optional = res.f.flags.includes('~');
+                        item.wait = res.f.flags.includes('+');
+                    }
+                }
+                catch (err) {
+                    item.error = err instanceof Error ? err.message : err;
+                }
+                items.push(item);
+            }
+            const afektasi = {};
+            for (const [charge, values] of Object.entries(charges)) {
+                afektasi[charge.toLowerCase()] = {...values.getValues(), valid: values.isValid()};
+            }
+            result[name] = {items, afektasi};
+        }
+        return result;
+    }
+
+    /**
+     * Get flag modifiers for input string.
+     *
+     * @param {string} flags Flag modifiers
+     * @param {string} s The input string
+     * @param {boolean} multiple True to allows multiple modifier
+     * @returns {string[]}
+     */
+    static getFlags(flags, s, multiple = false) {
+        const res = [];
+        if (typeof flags === 'string') {
+            flags = flags.split('');
+        }
+        if (!Array.isArray(flags)) {
+            flags = [flags];
+        }
+        while (true) {
+            if (flags.includes(s.substr(0, 1))) {
+                res.push(s.substr(0, 1));
+                s = s.substr(1);
+                if (multiple) {
+                    continue;
+                } else {
+                    break;
+                }
+            }
+            break;
+        }
+        return res;
+    }
+
+    /**
+     * Get form key data which includes element selector, modifiers, and
+     * selector modifiers.
+     *
+     * @param {string} key Form key
+     * @returns {object}
+     */
+    static getFormKey(key) {
+        const res = {};
+        // flags:
+        // + add wait
+        // ? perform read operatiron
+        // * required
+        // ~ optional
+        // $ set value using javascript
+        // - ignored, used to duplicate selector
+        // & advance date to skip holiday
+        res.flags = this.getFlags('+?*~$-&', key, true);
+        if (res.flags.length) {
+            key = key.substr(res.flags.length);
+        }
+        // check parent
+        if (key.indexOf('!') > 1) {
+            const part = key.split('!');
+            res.parent = part[0];
+            key = part[1];
+        }
+        // selector flags:
+        // # id selector
+        // = xpath selector
+        res.sflags = this.getFlags('#=', key);
+        if (res.sflags.length) {
+            key = key.substr(res.sflags.length);
+        }
+        res.selector = key;
+        return res;
+    }
+
+    /**
+     * Truncate value for logging.
+     *
+     * @param {any} s The value
+     * @param {number} len Maximum length
+     * @returns {any}
+     */
+    static trunc(s, len = 100) {
+        if (Array.isArray(s)) {
+            s = s.map(s => this.trunc(s, len));
+        }
+        if (Buffer.isBuffer(s)) {
+            const { inspect } = require('util');
+            s = inspect(s);
+        } else if (typeof s === 'string' && s.length > len) {
+            s = s.substr(0, len) + '...';
+        }
+        return s;
+    }
+
+    /**
+     * Summarize value so binary content is not dumped as is.
+     *
+     * @param {any} value The value
+     * @returns {any}
+     */
+    static summarize(value) {
+        if (Array.isArray(value)) {
+            return value.map(v => this.summarize(v));
+        }
+        if (value && typeof value === 'object' && value.type === 'Buffer' && value.data) {
+            value = Buffer.from(value.data);
+        }
+        if (Buffer.isBuffer(value)) {
+            return `Buffer(${value.byteLength} bytes)`;
+        }
+        return value;
+    }
+
+    static get HANDLERS() { return ['RADIO', 'ROLE', 'REKANAN', 'KEG', 'NPD', 'AFEKTASI', 'FILE', 'PDF', 'DO'] }
+}
+
+/**
+ * Holds account charges.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdAfektasi {
+
+    keys = {
+        kuota: false,
+        keg: true,
+        rek: true,
+        no: false,
+        tgl: true,
+        untuk: false,
+        nominal: true,
+        sisa: false,
+    }
+
+    /**
+     * Set key value.
+     *
+     * @param {string} key The key
+     * @param {any} value The value
+     * @returns {SipdAfektasi}
+     */
+    set(key, value) {
+        if (!key) {
+            throw new Error('Key is required!');
+        }
+        key = key.toLowerCase();
+        if (!Object.keys(this.keys).includes(key)) {
+            throw new Error(`Unknown key ${key}!`);
+        }
+        this[key] = value;
+        return this;
+    }
+
+    /**
+     * Get assigned values.
+     *
+     * @returns {object}
+     */
+    getValues() {
+        const res = {};
+        for (const k of Object.keys(this.keys)) {
+            if (this[k] !== undefined) {
+                res[k] = this[k];
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Clear all values.
+     *
+     * @returns {SipdAfektasi}
+     */
+    clear() {
+        for (const k of Object.keys(this.keys)) {
+            delete this[k];
+        }
+        return this;
+    }
+
+    /**
+     * Check if afektasi is valid.
+     *
+     * @returns {boolean}
+     */
+    isValid() {
+        for (const [k, required] of Object.entries(this.keys)) {
+            if (required && (this[k] === undefined || this[k] === null)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Create or get account charge.
+     *
+     * @param {string} id The account id
+     * @returns {SipdAfektasi}
+     */
+    static get(id) {
+        if (this.instances === undefined) {
+            this.instances = {};
+        }
+        if (this.instances[id] === undefined) {
+            this.instances[id] = new this();
+        }
+        return this.instances[id];
+    }
+}
+
+module.exports = { SipdFormPlanner, SipdAfektasi };
\ No newline at end of file
@@ -128,18 +128,20 @@ class Sipd extends WebRobot {
      * @param {string} password Password
      * @param {string} role User role
      * @param {boolean} force True to force re-login
-     * @returns {Promise<any>}
+     * @returns {Promise<boolean>} True if login is actually performed
      */
     login(username, password, role, force = false) {
         return new Promise((resolve, reject) => {
+            let loggedIn = false;
             this.works([
                 [w => this.doPreLogin()],
                 [w => this.logout(), w => force],
                 [w => this.isLoggedIn(), w => !force],
                 [w => this.doLogin(username, password, role), w => force || !w.getRes(2)],
+                [w => Promise.resolve(loggedIn = true), w => force || !w.getRes(2)],
                 [w => this.doPostLogin()],
             ])
-            .then(() => resolve())
+            .then(() => resolve(loggedIn))
             .catch(err => reject(SipdRetryError.from(err)));
         });
     }
@@ -1448,6 +1450,52 @@ class SipdAbortError extends SipdError {
     }
 }
 
+/**
+ * An error to indicate an operation must be deferred.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdDeferError extends SipdError {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} message Message
+     * @param {number} delay Defer delay in milliseconds
+     */
+    constructor(message, delay = 0) {
+        super(message);
+        this.delay = delay;
+    }
+
+    static getErrorClass() {
+        return this;
+    }
+}
+
+/**
+ * An error to indicate a callback notification is not accepted.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdNotifyError extends SipdError {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} message Message
+     * @param {number} status Response status code
+     */
+    constructor(message, status = null) {
+        super(message);
+        this.status = status;
+    }
+
+    static getErrorClass() {
+        return this;
+    }
+}
+
 module.exports = {
     Sipd,
     SipdTimer,
@@ -1457,5 +1505,7 @@ module.exports = {
     SipdRetryError,
     SipdCleanAndRetryError,
     SipdStopError,
-    SipdAbortError
+    SipdAbortError,
+    SipdDeferError,
+    SipdNotifyError
 }
\ No newline at end of file
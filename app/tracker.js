@@ -0,0 +1,171 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const SipdLogger = require('./sipd/logger');
+const SipdQueue = require('./queue');
+
+const dtag = 'tracker';
+
+/**
+ * SP2D follow-up tracker.
+ *
+ * Once an SPP which asks for tracking is created, an SPP query is re-queued
+ * periodically until the
+ * SP2D is disbursed or the tracking is too old. Any changes of SPM, SP2D,
+ * or disbursement is sent to the original callback.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdSp2dTracker {
+
+    /**
+     * Constructor.
+     *
+     * @param {import('./queue').SipdDequeue} dequeue Dequeue
+     * @param {object} options Options
+     * @param {number} options.interval Query interval in milliseconds
+     * @param {number} options.maxAge Maximum tracking age in milliseconds
+     */
+    constructor(dequeue, options = {}) {
+        this.dequeue = dequeue;
+        this.interval = options.interval ?? 6 * 60 * 60 * 1000;
+        this.maxAge = options.maxAge ?? 14 * 24 * 60 * 60 * 1000;
+        this.dequeue.on('queue-end', queue => this.handle(queue));
+    }
+
+    /**
+     * Handle finished queue.
+     *
+     * @param {SipdQueue} queue Queue
+     */
+    handle(queue) {
+        // the queue is tracked by the node which processed it
+        if (queue.settled) {
+            return;
+        }
+        if (queue.type === SipdQueue.QUEUE_SPP && queue.status === SipdQueue.STATUS_DONE && queue.data.track) {
+            const res = queue.result;
+            if (res && res.spp && !res.cair) {
+                this.track(queue, {
+                    origin: queue.id,
+                    since: new Date().toISOString(),
+                    callback: queue.callback,
+                    last: this.getState(res),
+                });
+            }
+        }
+        if (queue.type === SipdQueue.QUEUE_SPP_QUERY && queue.data.track && queue.data.track.origin) {
+            const track = {...queue.data.track};
+            const res = queue.status === SipdQueue.STATUS_DONE && queue.result && typeof queue.result === 'object' ?
+                queue.result : null;
+            if (res) {
+                const state = this.getState(res);
+                if (state !== track.last) {
+                    track.last = state;
+                    this.notify(queue, track, res);
+                }
+                if (res.cair) {
+                    SipdLogger.activity(dtag)('SPP %s is disbursed, tracking stopped', res.spp);
+                    return;
+                }
+            }
+            if (Date.now() - new Date(track.since).getTime() >= this.maxAge) {
+                SipdLogger.activity(dtag)('Tracking of %s is stopped after reaching maximum age', queue.toString());
+                return;
+            }
+            this.track(queue, track);
+        }
+    }
+
+    /**
+     * Queue next SPP query.
+     *
+     * @param {SipdQueue} queue Previous queue
+     * @param {object} track Tracking data
+     * @param {number} delay Query delay in milliseconds
+     */
+    track(queue, track, delay = this.interval) {
+        // only carry what the query needs, leaving out attachments
+        const data = {};
+        for (const key of SipdSp2dTracker.QUERY_KEYS) {
+            if (queue.data[key] !== undefined) {
+                data[key] = queue.data[key];
+            }
+        }
+        if (queue.type === SipdQueue.QUEUE_SPP) {
+            data.SPP = queue.result.spp;
+        }
+        data.priority = 'low';
+        data.runAt = new Date(Date.now() + delay).toISOString();
+        data.track = track;
+        if (typeof this.dequeue.createQueue === 'function') {
+            const res = this.dequeue.createQueue({mode: queue.mode, type: SipdQueue.QUEUE_SPP_QUERY, data});
+            SipdLogger.activity(dtag)('Tracking SPP %s: %s', data.SPP, res?.message ?? res?.status);
+            // query is rejected, e.g. client query of the same SPP is pending, try again later
+            if (!res || res.message) {
+                const timer = setTimeout(() => {
+                    if (Date.now() - new Date(track.since).getTime() < this.maxAge) {
+                        this.track(queue, track, 0);
+                    }
+                }, this.interval);
+                timer.unref();
+            }
+        }
+    }
+
+    /**
+     * Send SPP updates to the original callback.
+     *
+     * @param {SipdQueue} queue Query queue
+     * @param {object} track Tracking data
+     * @param {object} res Query result
+     */
+    notify(queue, track, res) {
+        if (track.callback) {
+            SipdQueue.addQueue(SipdQueue.createCallbackQueue({
+                queue: track.origin,
+                id: queue.getMappedData('info.id'),
+                ...res,
+            }, track.callback));
+        }
+    }
+
+    /**
+     * Get SPP state used to detect changes.
+     *
+     * @param {object} res Result
+     * @returns {string}
+     */
+    getState(res) {
+        return ['spp', 'spm', 'sp2d', 'cair']
+            .map(k => res[k] ?? '')
+            .join('|');
+    }
+
+    static get QUERY_KEYS() {
+        return ['ID', 'UNIT', 'KEG', 'LEMBAGA', 'NIK', 'SPP', 'year'];
+    }
+}
+
+module.exports = SipdSp2dTracker;
\ No newline at end of file
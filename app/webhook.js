@@ -0,0 +1,290 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SipdLogger = require('./sipd/logger');
+const SipdNotifier = require('./notifier');
+const SipdUtil = require('./sipd/util');
+
+const dtag = 'webhook';
+
+/**
+ * Webhook subscriptions.
+ *
+ * Each subscription receives events filtered by event name, queue type, and
+ * bridge, delivered as callback to its own url using its own secret and
+ * optional payload template.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class SipdWebhook {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Store filename
+     * @param {Function} deliver Deliver function which accepts callback and data
+     */
+    constructor(filename, deliver) {
+        this.filename = filename;
+        this.deliver = deliver;
+        /** @type {object[]} */
+        this.items = [];
+        this.load();
+    }
+
+    /**
+     * Load subscriptions from file.
+     *
+     * @returns {this}
+     */
+    load() {
+        if (fs.existsSync(this.filename)) {
+            try {
+                this.items = JSON.parse(fs.readFileSync(this.filename));
+                this.items.forEach(item => this.register(item));
+            }
+            catch (err) {
+                SipdLogger.activity(dtag)('Unable to load webhooks %s: %s!', this.filename, err);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Save subscriptions to file.
+     *
+     * @returns {this}
+     */
+    save() {
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        fs.writeFileSync(this.filename, JSON.stringify(this.items, null, 2));
+        return this;
+    }
+
+    /**
+     * Add a subscription.
+     *
+     * @param {object} data Subscription
+     * @param {string} data.url Callback url
+     * @param {string} data.token Bearer token
+     * @param {string} data.secret Signing secret
+     * @param {string[]} data.events Events, all events if omitted
+     * @param {string[]} data.types Queue types, all types if omitted
+     * @param {string[]} data.bridges Bridge names, all bridges if omitted
+     * @param {object|string} data.template Payload template
+     * @returns {object}
+     */
+    add(data) {
+        if (!data.url) {
+            throw new Error('Webhook url is required!');
+        }
+        const item = {id: SipdUtil.genId(), url: data.url};
+        for (const key of ['events', 'types', 'bridges']) {
+            if (data[key]) {
+                item[key] = Array.isArray(data[key]) ? data[key] : [data[key]];
+            }
+        }
+        const events = (item.events ?? []).filter(event => !SipdWebhook.EVENTS.includes(event));
+        if (events.length) {
+            throw new Error(`Unsupported webhook event ${events.join(', ')}!`);
+        }
+        for (const key of ['token', 'secret', 'template']) {
+            if (data[key]) {
+                item[key] = data[key];
+            }
+        }
+        item.time = new Date().toISOString();
+        this.items.push(item);
+        this.register(item);
+        this.save();
+        return this.getInfo(item);
+    }
+
+    /**
+     * Remove a subscription.
+     *
+     * @param {string} id Subscription id
+     * @returns {object|undefined}
+     */
+    remove(id) {
+        const item = this.items.find(item => item.id === id);
+        if (item) {
+            this.items.splice(this.items.indexOf(item), 1);
+            this.unregister(item);
+            this.save();
+            return this.getInfo(item);
+        }
+    }
+
+    /**
+     * Get subscriptions.
+     *
+     * @returns {object[]}
+     */
+    list() {
+        return this.items.map(item => this.getInfo(item));
+    }
+
+    /**
+     * Get subscription information without its credentials.
+     *
+     * @param {object} item Subscription
+     * @returns {object}
+     */
+    getInfo(item) {
+        const res = {...item};
+        for (const key of ['token', 'secret']) {
+            if (res[key]) {
+                res[key] = '***';
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Get subscription callback.
+     *
+     * @param {object} item Subscription
+     * @returns {string}
+     */
+    getCallback(item) {
+        return item.token ? `${item.url}#${item.token}` : item.url;
+    }
+
+    /**
+     * Register subscription signing secret.
+     *
+     * @param {object} item Subscription
+     */
+    register(item) {
+        if (item.secret) {
+            SipdNotifier.setSecret(this.getCallback(item), item.secret);
+        }
+    }
+
+    /**
+     * Unregister subscription signing secret, unless it is still used by
+     * other subscription.
+     *
+     * @param {object} item Subscription
+     */
+    unregister(item) {
+        if (item.secret) {
+            const callback = this.getCallback(item);
+            SipdNotifier.removeSecret(callback);
+            this.items
+                .filter(other => this.getCallback(other) === callback)
+                .forEach(other => this.register(other));
+        }
+    }
+
+    /**
+     * Publish an event to matched subscriptions.
+     *
+     * @param {string} event Event name
+     * @param {object} data Event data
+     * @param {object} filter Event filter
+     * @param {string} filter.type Queue type
+     * @param {string} filter.bridge Bridge name
+     */
+    publish(event, data, filter = {}) {
+        const payload = {event, time: new Date().toISOString(), ...data};
+        for (const item of this.items) {
+            if (item.events && !item.events.includes(event)) {
+                continue;
+            }
+            if (item.types && !item.types.includes(filter.type)) {
+                continue;
+            }
+            if (item.bridges && !item.bridges.includes(filter.bridge)) {
+                continue;
+            }
+            try {
+                this.deliver(this.getCallback(item), item.template ? SipdWebhook.render(item.template, payload) : payload);
+            }
+            catch (err) {
+                SipdLogger.activity(dtag)('Unable to deliver %s to webhook %s: %s!', event, item.id, err);
+            }
+        }
+    }
+
+    /**
+     * Render payload template. A `{{name}}` placeholder is replaced with the
+     * payload value, a string which only contains a placeholder is replaced
+     * with the value as is.
+     *
+     * @param {any} template Template
+     * @param {object} payload Payload
+     * @returns {any}
+     */
+    static render(template, payload) {
+        if (Array.isArray(template)) {
+            return template.map(v => this.render(v, payload));
+        }
+        if (template && typeof template === 'object') {
+            const res = {};
+            for (const [k, v] of Object.entries(template)) {
+                res[k] = this.render(v, payload);
+            }
+            return res;
+        }
+        if (typeof template === 'string') {
+            const value = key => key.split('.').reduce((o, k) => o !== undefined && o !== null ? o[k] : undefined, payload);
+            const matches = template.match(/^\{\{([\w\.]+)\}\}$/);
+            if (matches) {
+                return value(matches[1]);
+            }
+            return template.replace(/\{\{([\w\.]+)\}\}/g, (match, key) => {
+                const v = value(key);
+                return v === undefined || v === null ? '' : (typeof v === 'object' ? JSON.stringify(v) : v);
+            });
+        }
+        return template;
+    }
+
+    static get EVENT_QUEUE() { return 'queue' }
+    static get EVENT_PROGRESS() { return 'progress' }
+    static get EVENT_DONE() { return 'done' }
+    static get EVENT_ERROR() { return 'error' }
+    static get EVENT_CAPTCHA() { return 'captcha' }
+    static get EVENT_BRIDGE_DOWN() { return 'bridge-down' }
+
+    static get EVENTS() {
+        return [
+            this.EVENT_QUEUE,
+            this.EVENT_PROGRESS,
+            this.EVENT_DONE,
+            this.EVENT_ERROR,
+            this.EVENT_CAPTCHA,
+            this.EVENT_BRIDGE_DOWN,
+        ];
+    }
+}
+
+module.exports = SipdWebhook;
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const SipdIdempotency = require('../app/idempotency');
+const SipdLogger = require('../app/sipd/logger');
+
+test.describe('SipdIdempotency', () => {
+    let dir, filename;
+
+    test.before(() => SipdLogger.create(SipdLogger.DEBUG));
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+        filename = path.join(dir, 'queue', 'idempotency.log');
+    });
+    test.afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    test.it('sets and removes entry', () => {
+        const index = new SipdIdempotency(filename);
+        index.set('spp:1', 'q1', 'new');
+        assert.strictEqual(index.get('spp:1').id, 'q1');
+        index.set('spp:1', 'q1', 'done', {ok: true});
+        assert.deepStrictEqual(index.get('spp:1').result, {ok: true});
+        index.remove('spp:1');
+        assert.strictEqual(index.get('spp:1'), undefined);
+    });
+
+    test.it('replays changes on load', () => {
+        const index = new SipdIdempotency(filename);
+        index.set('spp:1', 'q1', 'new');
+        index.set('spp:2', 'q2', 'new');
+        index.set('spp:1', 'q1', 'done');
+        index.remove('spp:2');
+        fs.appendFileSync(filename, '{"op":"set","key":"spp:3"');
+        const loaded = new SipdIdempotency(filename);
+        assert.deepStrictEqual(Object.keys(loaded.entries), ['spp:1']);
+        assert.strictEqual(loaded.get('spp:1').status, 'done');
+    });
+
+    test.it('expires entries', () => {
+        const index = new SipdIdempotency(filename, {ttl: 1000});
+        index.set('spp:1', 'q1', 'done');
+        index.entries['spp:1'].time -= 2000;
+        assert.strictEqual(index.get('spp:1'), undefined);
+        index.set('spp:2', 'q2', 'done');
+        fs.appendFileSync(filename, JSON.stringify({op: 'set', key: 'spp:1', entry: {id: 'q1', time: Date.now() - 2000}}) + '\n');
+        assert.deepStrictEqual(Object.keys(new SipdIdempotency(filename, {ttl: 1000}).entries), ['spp:2']);
+    });
+
+    test.it('compacts once threshold is reached', () => {
+        const index = new SipdIdempotency(filename, {compact: 4});
+        index.set('spp:1', 'q1', 'new');
+        index.set('spp:1', 'q1', 'done');
+        index.set('spp:2', 'q2', 'new');
+        assert.strictEqual(fs.readFileSync(filename).toString().split('\n').filter(Boolean).length, 3);
+        index.remove('spp:2');
+        const lines = fs.readFileSync(filename).toString().split('\n').filter(Boolean);
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(JSON.parse(lines[0]).entry.status, 'done');
+        assert.strictEqual(index.changes, 0);
+        assert.deepStrictEqual(Object.keys(new SipdIdempotency(filename).entries), ['spp:1']);
+    });
+});
\ No newline at end of file
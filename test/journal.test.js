@@ -0,0 +1,83 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const SipdJournal = require('../app/journal');
+const SipdLogger = require('../app/sipd/logger');
+
+const createQueue = (id, status = 'new') => ({id, status, getSaveData: () => ({type: 'spp', id, data: {ID: id}})});
+
+test.describe('SipdJournal', () => {
+    let dir, filename;
+
+    test.before(() => SipdLogger.create(SipdLogger.DEBUG));
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+        filename = path.join(dir, 'queue', 'journal.log');
+    });
+    test.afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    test.it('replays unfinished queues', () => {
+        const journal = new SipdJournal(filename);
+        const q1 = createQueue('q1'), q2 = createQueue('q2');
+        journal.add(q1).add(q2);
+        q1.status = 'processing';
+        journal.status(q1);
+        journal.end(q2);
+        assert.deepStrictEqual(new SipdJournal(filename).read(), [{queue: q1.getSaveData(), status: 'processing'}]);
+    });
+
+    test.it('skips malformed record', () => {
+        const journal = new SipdJournal(filename);
+        journal.add(createQueue('q1'));
+        fs.appendFileSync(filename, '{"op":"add","id":"q2"');
+        assert.deepStrictEqual(journal.read().map(item => item.queue.id), ['q1']);
+    });
+
+    test.it('compacts once threshold is reached', () => {
+        const journal = new SipdJournal(filename, {compact: 2});
+        const queues = ['q1', 'q2', 'q3'].map(id => createQueue(id));
+        queues.forEach(queue => journal.add(queue));
+        journal.end(queues[0]);
+        assert.strictEqual(fs.readFileSync(filename).toString().split('\n').filter(Boolean).length, 4);
+        journal.end(queues[1]);
+        const lines = fs.readFileSync(filename).toString().split('\n').filter(Boolean);
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(JSON.parse(lines[0]).id, 'q3');
+        assert.strictEqual(journal.ended, 0);
+        assert.strictEqual(fs.existsSync(`${filename}.tmp`), false);
+        assert.deepStrictEqual(journal.read().map(item => item.queue.id), ['q3']);
+    });
+
+    test.it('compacts to the given queues', () => {
+        const journal = new SipdJournal(filename);
+        journal.add(createQueue('q1'));
+        journal.compact([createQueue('q2', 'processing')]);
+        assert.deepStrictEqual(journal.read(), [{queue: createQueue('q2').getSaveData(), status: 'processing'}]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const SipdOutbox = require('../app/outbox');
+const SipdLogger = require('../app/sipd/logger');
+const { SipdNotifyError } = require('../app/sipd');
+
+const createQueue = (id, signed = false) => ({id, callback: 'http://localhost/callback', data: {id}, signed});
+
+test.describe('SipdOutbox', () => {
+    let dir, filename, outbox;
+
+    const fail = (item, err) => {
+        item.queue = `${item.id}-${item.attempts}`;
+        outbox.update({id: item.queue, outbox: item.id, result: err}, false);
+    }
+
+    test.before(() => SipdLogger.create(SipdLogger.DEBUG));
+    test.beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+        filename = path.join(dir, 'queue', 'outbox.log');
+        outbox = new SipdOutbox(filename, {delay: 1000, multiplier: 2, maxDelay: 5000, maxAge: 60000});
+    });
+    test.afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    test.it('stores item without secret', () => {
+        outbox.add(createQueue('c1', true));
+        const item = outbox.get('c1');
+        assert.strictEqual(item.signed, true);
+        assert.strictEqual(item.queue, 'c1');
+        const rec = JSON.parse(fs.readFileSync(filename).toString().split('\n')[0]);
+        assert.strictEqual(rec.item.queue, undefined);
+        assert.strictEqual(rec.item.secret, undefined);
+    });
+
+    test.it('retries with exponential backoff', () => {
+        outbox.add(createQueue('c1'));
+        const item = outbox.get('c1');
+        const delays = [];
+        for (let i = 0; i < 4; i++) {
+            const time = Date.now();
+            fail(item, new SipdNotifyError('Service unavailable', 503));
+            assert.strictEqual(item.status, SipdOutbox.STATUS_PENDING);
+            delays.push(Math.round((new Date(item.next).getTime() - time) / 1000));
+        }
+        assert.deepStrictEqual(delays, [1, 2, 4, 5]);
+        assert.strictEqual(item.attempts, 4);
+        assert.strictEqual(item.code, 503);
+        assert.strictEqual(item.error, 'Service unavailable');
+    });
+
+    test.it('retries network error and rate limit', () => {
+        outbox.add(createQueue('c1'));
+        outbox.add(createQueue('c2'));
+        fail(outbox.get('c1'), new Error('ECONNREFUSED'));
+        fail(outbox.get('c2'), new SipdNotifyError('Too many requests', 429));
+        assert.strictEqual(outbox.get('c1').status, SipdOutbox.STATUS_PENDING);
+        assert.strictEqual(outbox.get('c2').status, SipdOutbox.STATUS_PENDING);
+    });
+
+    test.it('fails permanently when client refuses', () => {
+        outbox.add(createQueue('c1'));
+        const item = outbox.get('c1');
+        fail(item, new SipdNotifyError('Bad request', 400));
+        assert.strictEqual(item.status, SipdOutbox.STATUS_FAILED);
+        assert.strictEqual(item.next, undefined);
+        assert.deepStrictEqual(outbox.getFailed(), [item]);
+    });
+
+    test.it('fails permanently when too old', () => {
+        outbox.add(createQueue('c1'));
+        const item = outbox.get('c1');
+        item.time = new Date(Date.now() - 59500).toISOString();
+        fail(item, new SipdNotifyError('Service unavailable', 503));
+        assert.strictEqual(item.status, SipdOutbox.STATUS_FAILED);
+    });
+
+    test.it('ignores stale callback queue', () => {
+        outbox.add(createQueue('c1'));
+        outbox.update({id: 'other', outbox: 'c1', result: new SipdNotifyError('Bad request', 400)}, false);
+        assert.strictEqual(outbox.get('c1').status, SipdOutbox.STATUS_PENDING);
+        assert.strictEqual(outbox.get('c1').attempts, 0);
+    });
+
+    test.it('redelivers failed item', () => {
+        outbox.add(createQueue('c1'));
+        fail(outbox.get('c1'), new SipdNotifyError('Bad request', 400));
+        assert.deepStrictEqual(outbox.redeliver('c1'), [{id: 'c1', status: SipdOutbox.STATUS_PENDING}]);
+        assert.strictEqual(outbox.get('c1').attempts, 0);
+        assert.deepStrictEqual(outbox.getFailed(), []);
+    });
+
+    test.it('replays store on load', () => {
+        outbox.add(createQueue('c1'));
+        outbox.add(createQueue('c2'));
+        outbox.add(createQueue('c3'));
+        fail(outbox.get('c1'), new SipdNotifyError('Bad request', 400));
+        fail(outbox.get('c2'), new SipdNotifyError('Service unavailable', 503));
+        outbox.update({id: 'c3', outbox: 'c3'}, true);
+        fs.appendFileSync(filename, '{"op":"end","id":"c1"');
+        const loaded = new SipdOutbox(filename);
+        assert.deepStrictEqual(loaded.items.map(item => [item.id, item.status, item.attempts]), [
+            ['c1', SipdOutbox.STATUS_FAILED, 1],
+            ['c2', SipdOutbox.STATUS_PENDING, 1],
+        ]);
+        assert.strictEqual(loaded.get('c1').code, 400);
+        assert.strictEqual(loaded.get('c1').next, undefined);
+        assert.strictEqual(loaded.get('c2').next, outbox.get('c2').next);
+    });
+
+    test.it('compacts once threshold is reached', () => {
+        outbox = new SipdOutbox(filename, {compact: 2});
+        ['c1', 'c2', 'c3'].forEach(id => outbox.add(createQueue(id)));
+        outbox.update({id: 'c1', outbox: 'c1'}, true);
+        outbox.update({id: 'c2', outbox: 'c2'}, true);
+        const lines = fs.readFileSync(filename).toString().split('\n').filter(Boolean);
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(JSON.parse(lines[0]).id, 'c3');
+        assert.deepStrictEqual(new SipdOutbox(filename).items.map(item => item.id), ['c3']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SipdSchedule } = require('../app/scheduler');
+
+test.describe('SipdSchedule', () => {
+    test.it('parses field values', () => {
+        assert.deepStrictEqual(SipdSchedule.parseField('*', 0, 7).values, [0, 1, 2, 3, 4, 5, 6]);
+        assert.deepStrictEqual(SipdSchedule.parseField('1-5', 0, 59).values, [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(SipdSchedule.parseField('1,15,30', 0, 59).values, [1, 15, 30]);
+        assert.deepStrictEqual(SipdSchedule.parseField('0-30/10', 0, 59).values, [0, 10, 20, 30]);
+        assert.deepStrictEqual(SipdSchedule.parseField('*/6', 0, 23).values, [0, 6, 12, 18]);
+        assert.deepStrictEqual(SipdSchedule.parseField('45/5', 0, 59).values, [45, 50, 55]);
+        assert.strictEqual(SipdSchedule.parseField('*', 1, 31).any, true);
+        assert.strictEqual(SipdSchedule.parseField('1-31', 1, 31).any, false);
+    });
+
+    test.it('treats 7 as sunday', () => {
+        assert.deepStrictEqual(SipdSchedule.parseField('7', 0, 7).values, [0]);
+        assert.deepStrictEqual(SipdSchedule.parseField('5-7', 0, 7).values, [5, 6, 0]);
+    });
+
+    test.it('rejects invalid expression', () => {
+        assert.throws(() => SipdSchedule.parse('* * * *'), /Invalid cron expression/);
+        assert.throws(() => SipdSchedule.parse('60 * * * *'), /Invalid cron field/);
+        assert.throws(() => SipdSchedule.parse('* * 0 * *'), /Invalid cron field/);
+        assert.throws(() => SipdSchedule.parse('5-1 * * * *'), /Invalid cron field/);
+        assert.throws(() => SipdSchedule.parse('*/0 * * * *'), /Invalid cron field/);
+        assert.throws(() => SipdSchedule.parse('a * * * *'), /Invalid cron field/);
+        assert.throws(() => new SipdSchedule({cron: '* * * * *'}), /requires cron and command/);
+    });
+
+    test.it('gets next run time', () => {
+        const schedule = new SipdSchedule({cron: '30 2 * * *', command: 'lpj:list'});
+        assert.deepStrictEqual(schedule.getNext(new Date(2025, 0, 1, 1, 0)), new Date(2025, 0, 1, 2, 30));
+        assert.deepStrictEqual(schedule.getNext(new Date(2025, 0, 1, 2, 30)), new Date(2025, 0, 2, 2, 30));
+        assert.deepStrictEqual(schedule.getNext(new Date(2025, 11, 31, 3, 0)), new Date(2026, 0, 1, 2, 30));
+    });
+
+    test.it('gets next run time of restricted month and day', () => {
+        // 2025-01-06 is a monday
+        const weekly = new SipdSchedule({cron: '0 8 * * 1', command: 'lpj:list'});
+        assert.deepStrictEqual(weekly.getNext(new Date(2025, 0, 1)), new Date(2025, 0, 6, 8, 0));
+        const monthly = new SipdSchedule({cron: '0 0 1 3,9 *', command: 'lpj:list'});
+        assert.deepStrictEqual(monthly.getNext(new Date(2025, 3, 15)), new Date(2025, 8, 1, 0, 0));
+        // either day of month or day of week is matched
+        const either = new SipdSchedule({cron: '0 0 15 * 1', command: 'lpj:list'});
+        assert.deepStrictEqual(either.getNext(new Date(2025, 0, 7)), new Date(2025, 0, 13, 0, 0));
+        assert.deepStrictEqual(either.getNext(new Date(2025, 0, 13, 1, 0)), new Date(2025, 0, 15, 0, 0));
+        // february 30th never happens
+        const never = new SipdSchedule({cron: '0 0 30 2 *', command: 'lpj:list'});
+        assert.strictEqual(never.getNext(new Date(2025, 0, 1)), undefined);
+    });
+
+    test.it('replaces date tokens', () => {
+        // 2025-03-05 is a wednesday
+        const date = new Date(2025, 2, 5, 10, 0);
+        assert.strictEqual(SipdSchedule.replaceTokens('{today}', date), '2025-03-05');
+        assert.strictEqual(SipdSchedule.replaceTokens('{yesterday}', date), '2025-03-04');
+        assert.strictEqual(SipdSchedule.replaceTokens('{week-start}', date), '2025-03-03');
+        assert.strictEqual(SipdSchedule.replaceTokens('{month-start}~{month-end}', date), '2025-03-01~2025-03-31');
+        assert.strictEqual(SipdSchedule.replaceTokens('{prev-month-start}~{prev-month-end}', date), '2025-02-01~2025-02-28');
+        assert.strictEqual(SipdSchedule.replaceTokens('{year}/{month}', date), '2025/3');
+        assert.strictEqual(SipdSchedule.replaceTokens('{unknown}', date), '{unknown}');
+    });
+
+    test.it('gets command params', () => {
+        const schedule = new SipdSchedule({cron: '0 1 * * *', command: 'lpj:list', data: {start: '{yesterday}', max: 10}});
+        assert.deepStrictEqual(schedule.getParams(new Date(2025, 0, 1)), {data: {year: 2025, timeout: 0, start: '2024-12-31', max: 10}});
+    });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2022-2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const SipdSchema = require('../app/schema');
+
+const mappings = path.join(__dirname, '..', 'mappings');
+const getSchema = name => new SipdSchema(JSON.parse(fs.readFileSync(path.join(mappings, `${name}.meta.json`))));
+
+test.describe('SipdSchema', () => {
+    test.it('accepts string definition', () => {
+        const schema = new SipdSchema({NAME: 'Name'});
+        assert.deepStrictEqual(schema.fields.NAME, {description: 'Name'});
+        assert.strictEqual(schema.validate({}), undefined);
+    });
+
+    test.it('rejects non object data', () => {
+        const schema = new SipdSchema({});
+        assert.deepStrictEqual(schema.validate(null), {'*': 'Data must be an object!'});
+        assert.deepStrictEqual(schema.validate([]), {'*': 'Data must be an object!'});
+    });
+
+    test.it('checks field types', () => {
+        const schema = new SipdSchema({
+            S: {type: 'string', pattern: '^\\d+$', minLength: 2, maxLength: 4},
+            N: {type: 'number', min: 1, max: 10},
+            D: {type: 'date'},
+            E: {type: 'enum', values: ['a', 'b']},
+        });
+        assert.strictEqual(schema.validate({S: '123', N: '5', D: '2025-01-31', E: 'a'}), undefined);
+        assert.deepStrictEqual(Object.keys(schema.validate({S: 'abc', N: 'x', D: true, E: 'c'})), ['S', 'N', 'D', 'E']);
+        assert.match(schema.validate({S: '1'}).S, /at least 2/);
+        assert.match(schema.validate({S: '12345'}).S, /at most 4/);
+        assert.match(schema.validate({S: {}}).S, /must be a string/);
+        assert.match(schema.validate({N: 0}).N, /at least 1/);
+        assert.match(schema.validate({N: 11}).N, /at most 10/);
+        assert.match(schema.validate({N: false}).N, /not a number/);
+    });
+
+    test.it('checks pdf', () => {
+        const schema = new SipdSchema({F: {type: 'pdf', maxSize: '1k'}});
+        const pdf = Buffer.from('%PDF-1.4');
+        assert.strictEqual(schema.validate({F: pdf}), undefined);
+        assert.strictEqual(schema.validate({F: pdf.toJSON()}), undefined);
+        assert.match(schema.validate({F: 'x'}).F, /must be a PDF buffer/);
+        assert.match(schema.validate({F: Buffer.from('PNG')}).F, /not a PDF document/);
+        assert.match(schema.validate({F: Buffer.concat([pdf, Buffer.alloc(1024)])}).F, /larger than 1k/);
+    });
+
+    test.it('checks conditional required', () => {
+        const schema = new SipdSchema({
+            OP: {type: 'string', default: 'npd,tbp'},
+            NPD: {required: 'OP=npd'},
+            TBP: {required: 'OP=tbp'},
+            NOT_TBP: {required: 'OP!=tbp'},
+        });
+        assert.deepStrictEqual(schema.validate({}), {NPD: 'Value is required!', TBP: 'Value is required!'});
+        assert.deepStrictEqual(schema.validate({OP: 'npd'}), {NPD: 'Value is required!', NOT_TBP: 'Value is required!'});
+        assert.deepStrictEqual(schema.validate({OP: 'TBP', TBP: 1}), undefined);
+    });
+
+    test.it('validates spp and lpj mapping schema', () => {
+        const spp = getSchema('spp');
+        const lpj = getSchema('lpj');
+        for (const npwp of ['012345678901234', '0123456789012345', '01.234.567.8-901.234']) {
+            assert.strictEqual(spp.validate({NPWP: npwp}).NPWP, undefined);
+            assert.strictEqual(lpj.validate({NPWP: npwp}).NPWP, undefined);
+        }
+        for (const npwp of ['01234567890123', '01.234.567.8901.234']) {
+            assert.ok(spp.validate({NPWP: npwp}).NPWP);
+            assert.ok(lpj.validate({NPWP: npwp}).NPWP);
+        }
+        assert.strictEqual(lpj.validate({OP: 'npd'}).JENIS, undefined);
+        assert.ok(lpj.validate({OP: 'tbp'}).JENIS);
+        assert.ok(lpj.validate({OP: 'tbp', JENIS: 'usaha'}).USAHA);
+    });
+});
\ No newline at end of file